@@ -6,25 +6,127 @@ import { Label } from '@/components/ui/label.jsx'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
 import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group.jsx'
 import { Heart, Calculator, AlertTriangle, Moon, Sun, Download, Share2 } from 'lucide-react'
-import { calculateSCORE2Risk, validateSCORE2Inputs } from './utils/score2Calculator.js'
+import {
+  selectSCORE2Model, validateSCORE2Inputs, formatHeartAge, isLifetimeOnlyAge,
+  screenRiskByDefinition, buildRiskByDefinitionResult, applyRiskAdjustments,
+  FEMALE_RISK_ENHANCERS, identifyFemaleRiskEnhancers, EGFR_RANGE, validateRiskByDefinitionInputs
+} from './utils/score2Calculator.js'
+import { calculateRisk as calculateModelRisk, getRiskModel, validateModelInputs } from './utils/riskModels.js'
+import { calculateLipidProfile, validateLipidInputs, apoBUnit } from './utils/lipidCalculator.js'
+import { calculateLdlGoal } from './utils/ldlGoalCalculator.js'
+import { assessBloodPressure, validateBloodPressureInputs } from './utils/bloodPressureCalculator.js'
+import { buildLifetimeOnlyResult } from './utils/riskFactorSummary.js'
+import {
+  assessKidneyFunction, calculateEgfrCkdEpi2021, validateKidneyInputs
+} from './utils/kidneyCalculator.js'
+import { assessLpa, validateLpaInputs } from './utils/lipoproteinACalculator.js'
+import { ANCESTRY_MULTIPLIERS, applyAncestryMultiplier } from './utils/ancestryCalculator.js'
+import { assessCalciumScore, validateCalciumScoreInputs } from './utils/calciumScoreCalculator.js'
+import { COMORBIDITIES, assessFrailty } from './utils/frailtyCalculator.js'
+import {
+  assessSmokingHistory, modelSmokingStatus, validateSmokingHistory
+} from './utils/smokingCalculator.js'
+import {
+  BP_DRUG_CLASSES, summarizeLipidLowering, summarizeBpLowering, assessTreatmentEffect, validateTreatmentInputs,
+  estimateUntreatedValues
+} from './utils/treatmentCalculator.js'
+import { QRISK3_CONDITIONS } from './utils/qrisk3Calculator.js'
 import { generatePDFReport, shareResults } from './utils/pdfExport.js'
 import RiskGauge from './components/RiskGauge.jsx'
 import WhatIfSimulation from './components/WhatIfSimulation.jsx'
+import LipidProfileCard from './components/LipidProfileCard.jsx'
+import LdlGoalCard from './components/LdlGoalCard.jsx'
+import BloodPressureInput from './components/BloodPressureInput.jsx'
+import BloodPressureCard from './components/BloodPressureCard.jsx'
+import ModelComparisonCard from './components/ModelComparisonCard.jsx'
+import Qrisk3Input from './components/Qrisk3Input.jsx'
+import FrailtyInput from './components/FrailtyInput.jsx'
+import FrailtyCard from './components/FrailtyCard.jsx'
+import SmokingHistoryInput from './components/SmokingHistoryInput.jsx'
+import TreatmentInput from './components/TreatmentInput.jsx'
+import TreatmentEffectCard from './components/TreatmentEffectCard.jsx'
+import PreventOutcomesCard from './components/PreventOutcomesCard.jsx'
+import LifetimeOnlyCard from './components/LifetimeOnlyCard.jsx'
+import RiskByDefinitionCard from './components/RiskByDefinitionCard.jsx'
+import KidneyFunctionInput from './components/KidneyFunctionInput.jsx'
+import KidneyCard from './components/KidneyCard.jsx'
+import FemaleRiskEnhancersInput from './components/FemaleRiskEnhancersInput.jsx'
+import RiskEnhancersCard from './components/RiskEnhancersCard.jsx'
+import RiskAdjustmentList from './components/RiskAdjustmentList.jsx'
+import CalciumScoreCard from './components/CalciumScoreCard.jsx'
 import './App.css'
 
 function App() {
   const [isDarkMode, setIsDarkMode] = useState(false)
   const [formData, setFormData] = useState({
+    riskModel: 'score2',
     age: '',
     sex: '',
+    establishedAscvd: '',
+    familialHypercholesterolaemia: '',
+    femaleRiskEnhancers: Object.fromEntries(Object.keys(FEMALE_RISK_ENHANCERS).map(condition => [condition, false])),
+    race: '',
     region: '',
+    ancestry: '',
     smoking: '',
-    systolicBP: '',
+    smokingHistory: {
+      quitDate: '',
+      cigarettesPerDay: '',
+      yearsSmoked: '',
+      vaping: ''
+    },
+    bloodPressure: {
+      officeReadings: [{ systolic: '', diastolic: '' }],
+      homeSystolic: '',
+      homeDiastolic: '',
+      ambulatorySystolic: '',
+      ambulatoryDiastolic: ''
+    },
     totalCholesterol: '',
     cholesterolUnit: 'mmol/L',
     hdlCholesterol: '',
+    nonHdlCholesterol: '',
+    triglycerides: '',
+    ldlCholesterol: '',
+    apoB: '',
+    lpa: '',
+    lpaUnit: 'nmol/L',
     diabetes: '',
-    bmi: ''
+    diabetesAgeAtDiagnosis: '',
+    hba1c: '',
+    hba1cUnit: 'mmol/mol',
+    diabetesTargetOrganDamage: '',
+    egfr: '',
+    kidney: {
+      creatinine: '',
+      creatinineUnit: 'µmol/L',
+      acr: '',
+      acrUnit: 'mg/mmol'
+    },
+    cacScore: '',
+    cacPercentile: '',
+    frailty: {
+      clinicalFrailtyScale: '',
+      comorbidities: Object.fromEntries(Object.keys(COMORBIDITIES).map(comorbidity => [comorbidity, false]))
+    },
+    bmi: '',
+    bpTreatment: '',
+    statin: '',
+    treatment: {
+      statin: '',
+      statinDose: '',
+      ezetimibe: false,
+      pcsk9: false,
+      bpDrugs: Object.fromEntries(Object.keys(BP_DRUG_CLASSES).map(drugClass => [drugClass, '']))
+    },
+    qrisk3: {
+      ethnicity: '',
+      smokingCategory: '',
+      diabetesType: 'type2',
+      townsend: '',
+      sbpVariability: '',
+      conditions: Object.fromEntries(Object.keys(QRISK3_CONDITIONS).map(condition => [condition, false]))
+    }
   })
   const [results, setResults] = useState(null)
   const [showResults, setShowResults] = useState(false)
@@ -41,56 +143,309 @@ function App() {
     }))
   }
 
+  const parseOptional = (value) => value ? parseFloat(value) : null
+
+  const getBloodPressureParams = () => ({
+    officeReadings: formData.bloodPressure.officeReadings.map(reading => ({
+      systolic: parseOptional(reading.systolic),
+      diastolic: parseOptional(reading.diastolic)
+    })),
+    homeAverage: {
+      systolic: parseOptional(formData.bloodPressure.homeSystolic),
+      diastolic: parseOptional(formData.bloodPressure.homeDiastolic)
+    },
+    ambulatoryAverage: {
+      systolic: parseOptional(formData.bloodPressure.ambulatorySystolic),
+      diastolic: parseOptional(formData.bloodPressure.ambulatoryDiastolic)
+    }
+  })
+
+  // Established ASCVD is very high risk by definition whatever model is selected: no model is run
+  const isEstablishedAscvd = formData.establishedAscvd === 'yes'
+  const activeModel = isEstablishedAscvd ? 'score2' : formData.riskModel
+  const isPrevent = activeModel === 'prevent'
+  const isPce = activeModel === 'pce'
+  const isQrisk3 = activeModel === 'qrisk3'
+  // Under 40 SCORE2 does not apply: the assessment switches to a risk factor summary
+  const isLifetimeOnly = activeModel === 'score2' && !isEstablishedAscvd && isLifetimeOnlyAge(parseInt(formData.age))
+
+  // Never / former / current smoker; QRISK3 smoking categories map onto the same statuses
+  const getSmokingHistoryStatus = () => {
+    if (!isQrisk3) return formData.smoking
+    if (!formData.qrisk3.smokingCategory) return ''
+    if (formData.qrisk3.smokingCategory === 'ex-smoker') return 'former-smoker'
+    return ['light', 'moderate', 'heavy'].includes(formData.qrisk3.smokingCategory) ? 'smoker' : 'non-smoker'
+  }
+
+  // The risk models count former smokers as non-smokers
+  const getSmokingStatus = () => modelSmokingStatus(getSmokingHistoryStatus())
+
+  const getSmokingHistoryParams = () => ({
+    status: getSmokingHistoryStatus(),
+    quitDate: formData.smokingHistory.quitDate,
+    cigarettesPerDay: parseOptional(formData.smokingHistory.cigarettesPerDay),
+    yearsSmoked: parseOptional(formData.smokingHistory.yearsSmoked),
+    vaping: formData.smokingHistory.vaping
+  })
+
+  const getQrisk3Params = () => ({
+    ethnicity: formData.qrisk3.ethnicity,
+    smokingCategory: formData.qrisk3.smokingCategory,
+    diabetesType: formData.diabetes === 'yes' ? formData.qrisk3.diabetesType : null,
+    townsend: formData.qrisk3.townsend !== '' ? parseFloat(formData.qrisk3.townsend) : null,
+    // SBP variability defaults to the SD of the office readings
+    sbpVariability: parseOptional(formData.qrisk3.sbpVariability) ??
+      assessBloodPressure(getBloodPressureParams()).systolicVariability,
+    ...Object.fromEntries(Object.entries(formData.qrisk3.conditions)
+      .map(([condition, present]) => [condition, present ? 'yes' : 'no']))
+  })
+
+  const getKidneyParams = () => ({
+    creatinine: parseOptional(formData.kidney.creatinine),
+    creatinineUnit: formData.kidney.creatinineUnit,
+    acr: parseOptional(formData.kidney.acr),
+    acrUnit: formData.kidney.acrUnit
+  })
+
+  // eGFR from creatinine (CKD-EPI 2021) takes precedence over an entered eGFR
+  const getEgfr = () => {
+    const { creatinine, creatinineUnit } = getKidneyParams()
+    if (creatinine && formData.age && formData.sex) {
+      return calculateEgfrCkdEpi2021(creatinine, creatinineUnit, parseInt(formData.age), formData.sex)
+    }
+    return formData.egfr ? parseFloat(formData.egfr) : null
+  }
+
+  const getPatientParams = () => ({
+    age: parseInt(formData.age),
+    sex: formData.sex,
+    establishedAscvd: formData.establishedAscvd,
+    familialHypercholesterolaemia: formData.familialHypercholesterolaemia,
+    femaleRiskEnhancers: formData.femaleRiskEnhancers,
+    race: formData.race,
+    region: formData.region,
+    ancestry: formData.ancestry,
+    smoking: getSmokingStatus(),
+    smokingHistory: assessSmokingHistory(getSmokingHistoryParams()),
+    // SBP for the risk model is derived from the BP readings
+    systolicBP: assessBloodPressure(getBloodPressureParams()).systolicBP,
+    totalCholesterol: parseFloat(formData.totalCholesterol),
+    cholesterolUnit: formData.cholesterolUnit,
+    hdlCholesterol: formData.hdlCholesterol ? parseFloat(formData.hdlCholesterol) : null,
+    nonHdlCholesterol: formData.nonHdlCholesterol ? parseFloat(formData.nonHdlCholesterol) : null,
+    triglycerides: formData.triglycerides ? parseFloat(formData.triglycerides) : null,
+    ldlCholesterol: formData.ldlCholesterol ? parseFloat(formData.ldlCholesterol) : null,
+    apoB: formData.apoB ? parseFloat(formData.apoB) : null,
+    lpa: parseOptional(formData.lpa),
+    lpaUnit: formData.lpaUnit,
+    diabetes: formData.diabetes,
+    diabetesAgeAtDiagnosis: formData.diabetesAgeAtDiagnosis ? parseInt(formData.diabetesAgeAtDiagnosis) : null,
+    hba1c: formData.hba1c ? parseFloat(formData.hba1c) : null,
+    hba1cUnit: formData.hba1cUnit,
+    diabetesTargetOrganDamage: formData.diabetesTargetOrganDamage,
+    egfr: getEgfr(),
+    ...getKidneyParams(),
+    cacScore: parseOptional(formData.cacScore),
+    cacPercentile: parseOptional(formData.cacPercentile),
+    clinicalFrailtyScale: formData.frailty.clinicalFrailtyScale ? parseInt(formData.frailty.clinicalFrailtyScale) : null,
+    comorbidities: formData.frailty.comorbidities,
+    bmi: formData.bmi ? parseFloat(formData.bmi) : null,
+    // Recorded medication implies treatment for the models with treatment terms
+    bpTreatment: summarizeBpLowering(formData.treatment.bpDrugs) ? 'yes' : formData.bpTreatment,
+    statin: summarizeLipidLowering(formData.treatment) ? 'yes' : formData.statin || null,
+    ...(isQrisk3 ? getQrisk3Params() : {})
+  })
+
+  // The SCORE2 family is selected by age and diabetes; the other models are chosen explicitly
+  const getModelId = (params) => activeModel === 'score2' ? selectSCORE2Model(params).id : activeModel
+
+  // With PCE selected, SCORE2 is shown alongside when its inputs (region) are complete
+  const getComparisonResults = (params, riskResult) => {
+    if (!isPce || validateSCORE2Inputs(params).length > 0) return null
+    return [calculateModelRisk(selectSCORE2Model(params).id, params), riskResult]
+  }
+
+  // LDL-C goal: on lipid-lowering treatment the ≥50% reduction is from the estimated untreated LDL-C
+  const getLdlGoal = (category, params, lipidProfile) => {
+    if (!lipidProfile.preferredLdl) return null
+    const lipidLowering = summarizeLipidLowering(formData.treatment)
+    const baselineLdl = lipidLowering ? estimateUntreatedValues(params, lipidLowering, null).ldlCholesterol : null
+    return calculateLdlGoal(category, lipidProfile.preferredLdl.value, lipidProfile.unit, { baselineLdl, lipidLowering })
+  }
+
+  // Model inputs to validate: with established ASCVD only the risk factors are needed
+  const validateActiveModelInputs = (params) => {
+    if (isEstablishedAscvd) return validateRiskByDefinitionInputs(params)
+    return activeModel === 'score2' ? validateSCORE2Inputs(params) : validateModelInputs(activeModel, params)
+  }
+
   const calculateRisk = () => {
     // Validate inputs
-    const validationErrors = validateSCORE2Inputs({
-      age: parseInt(formData.age),
-      sex: formData.sex,
-      region: formData.region,
-      smoking: formData.smoking,
-      systolicBP: parseFloat(formData.systolicBP),
-      totalCholesterol: parseFloat(formData.totalCholesterol),
-      cholesterolUnit: formData.cholesterolUnit,
-      hdlCholesterol: formData.hdlCholesterol ? parseFloat(formData.hdlCholesterol) : null,
-      diabetes: formData.diabetes,
-      bmi: formData.bmi ? parseFloat(formData.bmi) : null
-    })
+    const validationErrors = [
+      ...validateBloodPressureInputs(getBloodPressureParams()),
+      ...validateActiveModelInputs(getPatientParams()),
+      ...validateLipidInputs(getPatientParams()),
+      ...validateKidneyInputs(getKidneyParams()),
+      ...validateLpaInputs(getPatientParams()),
+      ...validateCalciumScoreInputs(getPatientParams()),
+      ...validateSmokingHistory(getSmokingHistoryParams(), parseInt(formData.age)),
+      ...validateTreatmentInputs(formData.treatment)
+    ]
 
     if (validationErrors.length > 0) {
       alert('Please check your inputs:\n' + validationErrors.join('\n'))
       return
     }
 
-    // Calculate SCORE2 risk
-    const riskResult = calculateSCORE2Risk({
-      age: parseInt(formData.age),
-      sex: formData.sex,
-      region: formData.region,
-      smoking: formData.smoking,
-      systolicBP: parseFloat(formData.systolicBP),
-      totalCholesterol: parseFloat(formData.totalCholesterol),
-      cholesterolUnit: formData.cholesterolUnit,
-      hdlCholesterol: formData.hdlCholesterol ? parseFloat(formData.hdlCholesterol) : null,
-      diabetes: formData.diabetes,
-      bmi: formData.bmi ? parseFloat(formData.bmi) : null
-    })
+    // Calculate risk (SCORE2-OP / SCORE2-Diabetes are selected automatically)
+    const params = getPatientParams()
+    const kidney = assessKidneyFunction(params)
+    // Elevated Lp(a) is a risk enhancer alongside the female-specific ones
+    const lpaEnhancer = assessLpa(params.lpa !== null && { value: params.lpa, unit: params.lpaUnit })
+    const riskEnhancers = [...identifyFemaleRiskEnhancers(params), ...(lpaEnhancer ? [lpaEnhancer] : [])]
 
-    setResults(riskResult)
+    // High / very high risk by definition: SCORE2 is not run
+    const riskByDefinition = activeModel === 'score2' ? screenRiskByDefinition(params) : null
+    if (riskByDefinition) {
+      const lipidProfile = calculateLipidProfile(params)
+      setResults({
+        ...buildRiskByDefinitionResult(params, riskByDefinition),
+        bloodPressure: assessBloodPressure(getBloodPressureParams()),
+        kidney,
+        riskEnhancers,
+        smokingHistory: params.smokingHistory,
+        lipidProfile,
+        ldlGoal: getLdlGoal(riskByDefinition.category, params, lipidProfile)
+      })
+      setShowResults(true)
+      return
+    }
+
+    if (isLifetimeOnly) {
+      setResults({
+        ...buildLifetimeOnlyResult(params),
+        bloodPressure: assessBloodPressure(getBloodPressureParams()),
+        kidney,
+        riskEnhancers,
+        smokingHistory: params.smokingHistory,
+        lipidProfile: calculateLipidProfile(params),
+        ldlGoal: null
+      })
+      setShowResults(true)
+      return
+    }
+
+    const riskResult = calculateModelRisk(getModelId(params), params)
+
+    // SCORE2-OP: frailty and life expectancy put the risk in context
+    const frailty = riskResult.modelId === 'score2-op' ? assessFrailty(params) : null
+
+    // Patients on a statin or BP medication: risk on current treatment vs estimated untreated risk
+    const treatmentEffect = assessTreatmentEffect(riskResult.modelId, params, formData.treatment, riskResult)
+
+    // Adjustments to the SCORE2 family risk, each applied to the previous adjusted risk
+    const riskAdjustments = activeModel === 'score2' ? applyRiskAdjustments(riskResult, [
+      base => applyAncestryMultiplier(base, params.ancestry, params.age)
+    ]) : []
+    const finalAdjustment = riskAdjustments[riskAdjustments.length - 1]
+
+    // LDL-C goals follow the ESC risk categories (after adjustments)
+    const lipidProfile = calculateLipidProfile(params)
+    const scoreCategory = finalAdjustment ? finalAdjustment.adjustedClassification.category : riskResult.riskCategory
+    const ldlGoalCategory = activeModel === 'score2' ? scoreCategory : null
+    const ldlGoal = ldlGoalCategory ? getLdlGoal(ldlGoalCategory, params, lipidProfile) : null
+
+    setResults({
+      ...riskResult,
+      recommendations: frailty ? [...frailty.recommendations, ...riskResult.recommendations] : riskResult.recommendations,
+      frailty,
+      treatmentEffect,
+      riskByDefinition,
+      modelComparison: getComparisonResults(params, riskResult),
+      bloodPressure: assessBloodPressure(getBloodPressureParams()),
+      kidney,
+      riskEnhancers,
+      smokingHistory: params.smokingHistory,
+      riskAdjustments,
+      calciumScore: activeModel === 'score2' ? assessCalciumScore({ score: params.cacScore, percentile: params.cacPercentile }) : null,
+      lipidProfile,
+      ldlGoal,
+      // Inputs behind this result: the What If simulation starts from these, not the live form
+      params
+    })
     setShowResults(true)
   }
 
   const resetForm = () => {
     setFormData({
+      riskModel: 'score2',
       age: '',
       sex: '',
+      establishedAscvd: '',
+      familialHypercholesterolaemia: '',
+      femaleRiskEnhancers: Object.fromEntries(Object.keys(FEMALE_RISK_ENHANCERS).map(condition => [condition, false])),
+      race: '',
       region: '',
+      ancestry: '',
       smoking: '',
-      systolicBP: '',
+      smokingHistory: {
+        quitDate: '',
+        cigarettesPerDay: '',
+        yearsSmoked: '',
+        vaping: ''
+      },
+      bloodPressure: {
+        officeReadings: [{ systolic: '', diastolic: '' }],
+        homeSystolic: '',
+        homeDiastolic: '',
+        ambulatorySystolic: '',
+        ambulatoryDiastolic: ''
+      },
       totalCholesterol: '',
       cholesterolUnit: 'mmol/L',
       hdlCholesterol: '',
+      nonHdlCholesterol: '',
+      triglycerides: '',
+      ldlCholesterol: '',
+      apoB: '',
+      lpa: '',
+      lpaUnit: 'nmol/L',
       diabetes: '',
-      bmi: ''
+      diabetesAgeAtDiagnosis: '',
+      hba1c: '',
+      hba1cUnit: 'mmol/mol',
+      diabetesTargetOrganDamage: '',
+      egfr: '',
+      kidney: {
+        creatinine: '',
+        creatinineUnit: 'µmol/L',
+        acr: '',
+        acrUnit: 'mg/mmol'
+      },
+      cacScore: '',
+      cacPercentile: '',
+      frailty: {
+        clinicalFrailtyScale: '',
+        comorbidities: Object.fromEntries(Object.keys(COMORBIDITIES).map(comorbidity => [comorbidity, false]))
+      },
+      bmi: '',
+      bpTreatment: '',
+      statin: '',
+      treatment: {
+        statin: '',
+        statinDose: '',
+        ezetimibe: false,
+        pcsk9: false,
+        bpDrugs: Object.fromEntries(Object.keys(BP_DRUG_CLASSES).map(drugClass => [drugClass, '']))
+      },
+      qrisk3: {
+        ethnicity: '',
+        smokingCategory: '',
+        diabetesType: 'type2',
+        townsend: '',
+        sbpVariability: '',
+        conditions: Object.fromEntries(Object.keys(QRISK3_CONDITIONS).map(condition => [condition, false]))
+      }
     })
     setResults(null)
     setShowResults(false)
@@ -108,9 +463,21 @@ function App() {
     }
   }
 
+  const needsDiabetesDetails = formData.diabetes === 'yes' && parseInt(formData.age) < 70
+
+  // eGFR range validated for the active model (the SCORE2 family accepts severe CKD for screening)
+  const egfrRange = isPrevent ?
+    getRiskModel(activeModel).inputs.find(input => input.name === 'egfr') : EGFR_RANGE
+
+  // Required fields come from the inputs declared by the model that will be used
   const isFormValid = () => {
-    return formData.age && formData.sex && formData.region && 
-           formData.smoking && formData.systolicBP && formData.totalCholesterol
+    if (!formData.age) return false
+    const params = getPatientParams()
+    if (isEstablishedAscvd) return validateRiskByDefinitionInputs(params).length === 0
+    const model = getRiskModel(getModelId(params))
+    return model.inputs
+      .filter(input => input.required)
+      .every(input => params[input.name] !== null && params[input.name] !== '' && !Number.isNaN(params[input.name]))
   }
 
   return (
@@ -152,18 +519,50 @@ function App() {
               </CardDescription>
             </CardHeader>
             <CardContent className="space-y-6">
+              {/* Risk Model */}
+              <div className="space-y-2">
+                <Label htmlFor="riskModel">Risk Model</Label>
+                <Select value={formData.riskModel} onValueChange={(value) => handleInputChange('riskModel', value)}>
+                  <SelectTrigger id="riskModel">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="score2">ESC SCORE2</SelectItem>
+                    <SelectItem value="prevent">AHA PREVENT</SelectItem>
+                    <SelectItem value="pce">ACC/AHA Pooled Cohort Equations</SelectItem>
+                    <SelectItem value="qrisk3">QRISK3 (UK)</SelectItem>
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-muted-foreground">
+                  {isEstablishedAscvd ? 'Established ASCVD is very high risk by definition: no risk model is run' : {
+                    prevent: 'PREVENT is derived from US cohorts and needs no region',
+                    pce: 'PCE estimate 10-year hard ASCVD risk; SCORE2 is shown alongside when a region is selected',
+                    qrisk3: 'QRISK3 is derived from UK general practice records and needs no region'
+                  }[activeModel] || 'SCORE2 is calibrated to European risk regions'}
+                </p>
+              </div>
+
               {/* Age */}
               <div className="space-y-2">
                 <Label htmlFor="age">Age (years)</Label>
                 <Input
                   id="age"
                   type="number"
-                  min="40"
-                  max="100"
+                  min={isEstablishedAscvd ? '18' : isQrisk3 ? '25' : isPrevent || activeModel === 'score2' ? '30' : '40'}
+                  max={isQrisk3 ? '84' : isPrevent || isPce ? '79' : '100'}
                   value={formData.age}
                   onChange={(e) => handleInputChange('age', e.target.value)}
-                  placeholder="Enter age (40-100)"
+                  placeholder={{
+                    prevent: 'Enter age (30-79)',
+                    pce: 'Enter age (40-79)',
+                    qrisk3: 'Enter age (25-84)'
+                  }[activeModel] || 'Enter age (30-100)'}
                 />
+                {isLifetimeOnly && (
+                  <p className="text-xs text-muted-foreground">
+                    SCORE2 starts at age 40. For ages 30-39 risk factor levels are summarized instead, without a risk figure
+                  </p>
+                )}
               </div>
 
               {/* Sex */}
@@ -185,54 +584,152 @@ function App() {
                 </RadioGroup>
               </div>
 
-              {/* Region */}
-              <div className="space-y-2">
-                <Label htmlFor="region">Risk Region</Label>
-                <Select value={formData.region} onValueChange={(value) => handleInputChange('region', value)}>
-                  <SelectTrigger>
-                    <SelectValue placeholder="Select risk region" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="low">Low Risk Region</SelectItem>
-                    <SelectItem value="moderate">Moderate Risk Region</SelectItem>
-                    <SelectItem value="high">High Risk Region</SelectItem>
-                    <SelectItem value="very-high">Very High Risk Region</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
+              {/* Female-specific risk enhancers */}
+              {formData.sex === 'female' && (
+                <FemaleRiskEnhancersInput
+                  value={formData.femaleRiskEnhancers}
+                  onChange={(value) => handleInputChange('femaleRiskEnhancers', value)}
+                />
+              )}
 
-              {/* Smoking */}
+              {/* Established ASCVD */}
               <div className="space-y-3">
-                <Label>Smoking Status</Label>
+                <Label>Established Cardiovascular Disease</Label>
                 <RadioGroup
-                  value={formData.smoking}
-                  onValueChange={(value) => handleInputChange('smoking', value)}
+                  value={formData.establishedAscvd}
+                  onValueChange={(value) => handleInputChange('establishedAscvd', value)}
                   className="flex space-x-6"
                 >
                   <div className="flex items-center space-x-2">
-                    <RadioGroupItem value="non-smoker" id="non-smoker" />
-                    <Label htmlFor="non-smoker">Non-smoker</Label>
+                    <RadioGroupItem value="no" id="no-ascvd" />
+                    <Label htmlFor="no-ascvd">No</Label>
                   </div>
                   <div className="flex items-center space-x-2">
-                    <RadioGroupItem value="smoker" id="smoker" />
-                    <Label htmlFor="smoker">Smoker</Label>
+                    <RadioGroupItem value="yes" id="yes-ascvd" />
+                    <Label htmlFor="yes-ascvd">Yes</Label>
                   </div>
                 </RadioGroup>
               </div>
 
-              {/* Systolic Blood Pressure */}
-              <div className="space-y-2">
-                <Label htmlFor="systolicBP">Systolic Blood Pressure (mmHg)</Label>
-                <Input
-                  id="systolicBP"
-                  type="number"
-                  min="80"
-                  max="250"
-                  value={formData.systolicBP}
-                  onChange={(e) => handleInputChange('systolicBP', e.target.value)}
-                  placeholder="e.g., 120"
+              {/* Familial hypercholesterolaemia (high risk by definition) */}
+              {activeModel === 'score2' && (
+                <div className="space-y-3">
+                  <Label>Familial Hypercholesterolaemia</Label>
+                  <RadioGroup
+                    value={formData.familialHypercholesterolaemia}
+                    onValueChange={(value) => handleInputChange('familialHypercholesterolaemia', value)}
+                    className="flex space-x-6"
+                  >
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="no" id="no-fh" />
+                      <Label htmlFor="no-fh">No</Label>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="yes" id="yes-fh" />
+                      <Label htmlFor="yes-fh">Yes</Label>
+                    </div>
+                  </RadioGroup>
+                  <p className="text-xs text-muted-foreground">
+                    Genetically confirmed or clinically diagnosed (e.g., Dutch Lipid Clinic Network score)
+                  </p>
+                </div>
+              )}
+
+              {/* Frailty and comorbidities (SCORE2-OP) */}
+              {activeModel === 'score2' && parseInt(formData.age) >= 70 && (
+                <FrailtyInput
+                  value={formData.frailty}
+                  onChange={(value) => handleInputChange('frailty', value)}
                 />
-              </div>
+              )}
+
+              {/* Region */}
+              {!isPrevent && !isQrisk3 && !isEstablishedAscvd && (
+                <div className="space-y-2">
+                  <Label htmlFor="region">Risk Region</Label>
+                  <Select value={formData.region} onValueChange={(value) => handleInputChange('region', value)}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select risk region" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="low">Low Risk Region</SelectItem>
+                      <SelectItem value="moderate">Moderate Risk Region</SelectItem>
+                      <SelectItem value="high">High Risk Region</SelectItem>
+                      <SelectItem value="very-high">Very High Risk Region</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              {/* Ancestry (ESC multiplier for people living in Europe) */}
+              {activeModel === 'score2' && !isLifetimeOnly && (
+                <div className="space-y-2">
+                  <Label htmlFor="ancestry">Ancestry</Label>
+                  <Select value={formData.ancestry} onValueChange={(value) => handleInputChange('ancestry', value)}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="European or not stated" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="european">European or not stated</SelectItem>
+                      {Object.entries(ANCESTRY_MULTIPLIERS).map(([id, { group, label, multiplier }]) => (
+                        <SelectItem key={id} value={id}>
+                          {group === label ? label : `${group}: ${label}`} (× {multiplier})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-muted-foreground">
+                    Optional: ESC correction of SCORE2 for non-European ancestry in people living in Europe
+                  </p>
+                </div>
+              )}
+
+              {/* Smoking */}
+              {isQrisk3 ? (
+                <Qrisk3Input
+                  value={formData.qrisk3}
+                  onChange={(value) => handleInputChange('qrisk3', value)}
+                  sex={formData.sex}
+                  hasDiabetes={formData.diabetes === 'yes'}
+                />
+              ) : (
+                <div className="space-y-3">
+                  <Label>Smoking Status</Label>
+                  <RadioGroup
+                    value={formData.smoking}
+                    onValueChange={(value) => handleInputChange('smoking', value)}
+                    className="flex space-x-6"
+                  >
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="non-smoker" id="non-smoker" />
+                      <Label htmlFor="non-smoker">Never</Label>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="former-smoker" id="former-smoker" />
+                      <Label htmlFor="former-smoker">Former</Label>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="smoker" id="smoker" />
+                      <Label htmlFor="smoker">Current</Label>
+                    </div>
+                  </RadioGroup>
+                </div>
+              )}
+
+              {/* Smoking history: quit date, pack-years, vaping */}
+              {getSmokingHistoryStatus() && (
+                <SmokingHistoryInput
+                  value={formData.smokingHistory}
+                  onChange={(value) => handleInputChange('smokingHistory', value)}
+                  status={getSmokingHistoryStatus()}
+                />
+              )}
+
+              {/* Blood Pressure */}
+              <BloodPressureInput
+                value={formData.bloodPressure}
+                onChange={(value) => handleInputChange('bloodPressure', value)}
+              />
 
               {/* Total Cholesterol */}
               <div className="space-y-2">
@@ -262,23 +759,210 @@ function App() {
                 </div>
               </div>
 
+              {/* HDL Cholesterol */}
+              <div className="space-y-2">
+                <Label htmlFor="hdlCholesterol">HDL Cholesterol ({formData.cholesterolUnit})</Label>
+                <Input
+                  id="hdlCholesterol"
+                  type="number"
+                  step="0.1"
+                  value={formData.hdlCholesterol}
+                  onChange={(e) => handleInputChange('hdlCholesterol', e.target.value)}
+                  placeholder={formData.cholesterolUnit === 'mmol/L' ? 'e.g., 1.2' : 'e.g., 45'}
+                />
+                <p className="text-xs text-muted-foreground">
+                  {isPce
+                    ? 'Required: PCE use total and HDL cholesterol'
+                    : `Required: ${isPrevent ? 'PREVENT' : 'SCORE2'} uses non-HDL cholesterol (total minus HDL)`}
+                </p>
+              </div>
+
+              {/* PCE inputs */}
+              {isPce && (
+                <div className="space-y-3">
+                  <Label>Race</Label>
+                  <RadioGroup
+                    value={formData.race}
+                    onValueChange={(value) => handleInputChange('race', value)}
+                    className="flex space-x-6"
+                  >
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="white" id="race-white" />
+                      <Label htmlFor="race-white">White</Label>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="african-american" id="race-african-american" />
+                      <Label htmlFor="race-african-american">African American</Label>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="other" id="race-other" />
+                      <Label htmlFor="race-other">Other</Label>
+                    </div>
+                  </RadioGroup>
+                  <p className="text-xs text-muted-foreground">
+                    The white equations are used for other races
+                  </p>
+                </div>
+              )}
+
+              {/* Treated hypertension (PREVENT, PCE, QRISK3) */}
+              {(isPrevent || isPce || isQrisk3) && (
+                <div className="space-y-3">
+                  <Label>On Blood Pressure Treatment</Label>
+                  <RadioGroup
+                    value={formData.bpTreatment}
+                    onValueChange={(value) => handleInputChange('bpTreatment', value)}
+                    className="flex space-x-6"
+                  >
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="no" id="no-bp-treatment" />
+                      <Label htmlFor="no-bp-treatment">No</Label>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="yes" id="yes-bp-treatment" />
+                      <Label htmlFor="yes-bp-treatment">Yes</Label>
+                    </div>
+                  </RadioGroup>
+                </div>
+              )}
+
+              {/* PREVENT inputs */}
+              {isPrevent && (
+                <>
+                  <div className="space-y-3">
+                    <Label>On Statin</Label>
+                    <RadioGroup
+                      value={formData.statin}
+                      onValueChange={(value) => handleInputChange('statin', value)}
+                      className="flex space-x-6"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="no" id="no-statin" />
+                        <Label htmlFor="no-statin">No</Label>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="yes" id="yes-statin" />
+                        <Label htmlFor="yes-statin">Yes</Label>
+                      </div>
+                    </RadioGroup>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="bmi">BMI (kg/m²)</Label>
+                    <Input
+                      id="bmi"
+                      type="number"
+                      step="0.1"
+                      value={formData.bmi}
+                      onChange={(e) => handleInputChange('bmi', e.target.value)}
+                      placeholder="e.g., 25.0"
+                    />
+                  </div>
+                </>
+              )}
+
+              {/* eGFR: an input of PREVENT and SCORE2-Diabetes; severe CKD is very high risk by definition */}
+              {(activeModel === 'score2' || isPrevent) && (
+                <div className="space-y-2">
+                  <Label htmlFor="egfr">
+                    eGFR (mL/min/1.73m²){activeModel === 'score2' && !needsDiabetesDetails ? ' (optional)' : ''}
+                  </Label>
+                  <Input
+                    id="egfr"
+                    type="number"
+                    min={egfrRange.min}
+                    max={egfrRange.max}
+                    value={formData.egfr}
+                    onChange={(e) => handleInputChange('egfr', e.target.value)}
+                    placeholder="e.g., 90"
+                  />
+                </div>
+              )}
+
               {/* Optional Fields */}
               <div className="border-t pt-4">
                 <h4 className="font-medium mb-4 text-muted-foreground">Optional Information</h4>
                 
-                {/* HDL Cholesterol */}
+                {/* Measured non-HDL Cholesterol */}
                 <div className="space-y-2 mb-4">
-                  <Label htmlFor="hdlCholesterol">HDL Cholesterol ({formData.cholesterolUnit})</Label>
+                  <Label htmlFor="nonHdlCholesterol">Non-HDL Cholesterol, measured ({formData.cholesterolUnit})</Label>
                   <Input
-                    id="hdlCholesterol"
+                    id="nonHdlCholesterol"
                     type="number"
                     step="0.1"
-                    value={formData.hdlCholesterol}
-                    onChange={(e) => handleInputChange('hdlCholesterol', e.target.value)}
-                    placeholder={formData.cholesterolUnit === 'mmol/L' ? 'e.g., 1.2' : 'e.g., 45'}
+                    value={formData.nonHdlCholesterol}
+                    onChange={(e) => handleInputChange('nonHdlCholesterol', e.target.value)}
+                    placeholder="Calculated as total minus HDL if left empty"
                   />
                 </div>
 
+                {/* Triglycerides */}
+                <div className="space-y-2 mb-4">
+                  <Label htmlFor="triglycerides">Triglycerides ({formData.cholesterolUnit})</Label>
+                  <Input
+                    id="triglycerides"
+                    type="number"
+                    step="0.1"
+                    value={formData.triglycerides}
+                    onChange={(e) => handleInputChange('triglycerides', e.target.value)}
+                    placeholder={formData.cholesterolUnit === 'mmol/L' ? 'e.g., 1.5' : 'e.g., 130'}
+                  />
+                </div>
+
+                {/* Measured LDL Cholesterol */}
+                <div className="space-y-2 mb-4">
+                  <Label htmlFor="ldlCholesterol">LDL Cholesterol, measured ({formData.cholesterolUnit})</Label>
+                  <Input
+                    id="ldlCholesterol"
+                    type="number"
+                    step="0.1"
+                    value={formData.ldlCholesterol}
+                    onChange={(e) => handleInputChange('ldlCholesterol', e.target.value)}
+                    placeholder="Estimated from triglycerides if left empty"
+                  />
+                </div>
+
+                {/* ApoB */}
+                <div className="space-y-2 mb-4">
+                  <Label htmlFor="apoB">ApoB ({apoBUnit(formData.cholesterolUnit)})</Label>
+                  <Input
+                    id="apoB"
+                    type="number"
+                    step="0.01"
+                    value={formData.apoB}
+                    onChange={(e) => handleInputChange('apoB', e.target.value)}
+                    placeholder={formData.cholesterolUnit === 'mmol/L' ? 'e.g., 0.9' : 'e.g., 90'}
+                  />
+                </div>
+
+                {/* Lipoprotein(a) */}
+                <div className="space-y-2 mb-4">
+                  <Label htmlFor="lpa">Lipoprotein(a)</Label>
+                  <div className="flex space-x-2">
+                    <Input
+                      id="lpa"
+                      type="number"
+                      step="1"
+                      value={formData.lpa}
+                      onChange={(e) => handleInputChange('lpa', e.target.value)}
+                      placeholder={formData.lpaUnit === 'nmol/L' ? 'e.g., 75' : 'e.g., 30'}
+                      className="flex-1"
+                    />
+                    <Select value={formData.lpaUnit} onValueChange={(value) => handleInputChange('lpaUnit', value)}>
+                      <SelectTrigger className="w-28">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="nmol/L">nmol/L</SelectItem>
+                        <SelectItem value="mg/dL">mg/dL</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    Enter the unit reported by the lab: nmol/L and mg/dL do not convert reliably
+                  </p>
+                </div>
+
                 {/* Diabetes */}
                 <div className="space-y-3 mb-4">
                   <Label>Diabetes</Label>
@@ -298,18 +982,136 @@ function App() {
                   </RadioGroup>
                 </div>
 
+                {/* SCORE2-Diabetes inputs */}
+                {formData.diabetes === 'yes' && (activeModel === 'score2' || isPce) && (
+                  <div className="space-y-4 mb-4 pl-4 border-l-2 border-muted">
+                    <p className="text-xs text-muted-foreground">
+                      {needsDiabetesDetails
+                        ? 'Type 2 diabetes: risk is calculated with SCORE2-Diabetes'
+                        : 'Age 70 or over: diabetes is included in SCORE2-OP'}
+                    </p>
+
+                    <div className="space-y-2">
+                      <Label htmlFor="diabetesAgeAtDiagnosis">Age at Diagnosis (years)</Label>
+                      <Input
+                        id="diabetesAgeAtDiagnosis"
+                        type="number"
+                        min="18"
+                        max={formData.age || 100}
+                        value={formData.diabetesAgeAtDiagnosis}
+                        onChange={(e) => handleInputChange('diabetesAgeAtDiagnosis', e.target.value)}
+                        placeholder="e.g., 50"
+                      />
+                    </div>
+
+                    <div className="space-y-2">
+                      <Label htmlFor="hba1c">HbA1c</Label>
+                      <div className="flex space-x-2">
+                        <Input
+                          id="hba1c"
+                          type="number"
+                          step="0.1"
+                          value={formData.hba1c}
+                          onChange={(e) => handleInputChange('hba1c', e.target.value)}
+                          placeholder={formData.hba1cUnit === 'mmol/mol' ? 'e.g., 53' : 'e.g., 7.0'}
+                          className="flex-1"
+                        />
+                        <Select 
+                          value={formData.hba1cUnit} 
+                          onValueChange={(value) => handleInputChange('hba1cUnit', value)}
+                        >
+                          <SelectTrigger className="w-28">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="mmol/mol">mmol/mol</SelectItem>
+                            <SelectItem value="%">%</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    </div>
+
+                    {activeModel === 'score2' && (
+                      <div className="space-y-3">
+                        <Label>Target-Organ Damage</Label>
+                        <RadioGroup
+                          value={formData.diabetesTargetOrganDamage}
+                          onValueChange={(value) => handleInputChange('diabetesTargetOrganDamage', value)}
+                          className="flex space-x-6"
+                        >
+                          <div className="flex items-center space-x-2">
+                            <RadioGroupItem value="no" id="no-tod" />
+                            <Label htmlFor="no-tod">No</Label>
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            <RadioGroupItem value="yes" id="yes-tod" />
+                            <Label htmlFor="yes-tod">Yes</Label>
+                          </div>
+                        </RadioGroup>
+                        <p className="text-xs text-muted-foreground">
+                          eGFR &lt;45, or eGFR 45-59 with albuminuria, proteinuria, or microvascular disease at three or more sites
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Kidney function: CKD-EPI 2021 eGFR and KDIGO staging */}
+                <KidneyFunctionInput
+                  value={formData.kidney}
+                  onChange={(value) => handleInputChange('kidney', value)}
+                  egfr={getEgfr()}
+                />
+
+                {/* Coronary artery calcium (risk modifier for SCORE2) */}
+                {activeModel === 'score2' && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="cacScore">CAC Score (Agatston)</Label>
+                      <Input
+                        id="cacScore"
+                        type="number"
+                        min="0"
+                        value={formData.cacScore}
+                        onChange={(e) => handleInputChange('cacScore', e.target.value)}
+                        placeholder="e.g., 0"
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="cacPercentile">CAC Percentile</Label>
+                      <Input
+                        id="cacPercentile"
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={formData.cacPercentile}
+                        onChange={(e) => handleInputChange('cacPercentile', e.target.value)}
+                        placeholder="Optional"
+                      />
+                    </div>
+                  </div>
+                )}
+
+                {/* Current lipid-lowering and BP medication */}
+                <TreatmentInput
+                  value={formData.treatment}
+                  onChange={(value) => handleInputChange('treatment', value)}
+                />
+
                 {/* BMI */}
-                <div className="space-y-2">
-                  <Label htmlFor="bmi">BMI (kg/m²)</Label>
-                  <Input
-                    id="bmi"
-                    type="number"
-                    step="0.1"
-                    value={formData.bmi}
-                    onChange={(e) => handleInputChange('bmi', e.target.value)}
-                    placeholder="e.g., 25.0"
-                  />
-                </div>
+                {!isPrevent && (
+                  <div className="space-y-2">
+                    <Label htmlFor="bmi">BMI (kg/m²){isQrisk3 && ', required for QRISK3'}</Label>
+                    <Input
+                      id="bmi"
+                      type="number"
+                      step="0.1"
+                      value={formData.bmi}
+                      onChange={(e) => handleInputChange('bmi', e.target.value)}
+                      placeholder="e.g., 25.0"
+                    />
+                  </div>
+                )}
               </div>
 
               {/* Action Buttons */}
@@ -349,70 +1151,131 @@ function App() {
               </Card>
             ) : (
               <>
-                {/* Risk Score Card */}
-                <Card>
-                  <CardHeader>
-                    <CardTitle className="text-center">10-Year Cardiovascular Risk</CardTitle>
-                  </CardHeader>
-                  <CardContent>
-                    <RiskGauge 
-                      riskPercentage={results.riskPercentage} 
-                      riskCategory={results.riskCategory} 
-                    />
-                    <div className="text-center mt-4">
-                      <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
-                        results.riskCategory === 'low' ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' :
-                        results.riskCategory === 'moderate' ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' :
-                        results.riskCategory === 'high' ? 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200' :
-                        'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
-                      }`}>
-                        {results.riskCategory.charAt(0).toUpperCase() + results.riskCategory.slice(1)} Risk
+                {/* Conditions that are high / very high risk by definition */}
+                {results.riskByDefinition && (
+                  <RiskByDefinitionCard
+                    screen={results.riskByDefinition}
+                    onExport={results.scoreNotApplicable ? handleExportPDF : null}
+                    onShare={results.scoreNotApplicable ? handleShareResults : null}
+                  />
+                )}
+
+                {/* Risk Score Card (risk factor summary under 40) */}
+                {results.scoreNotApplicable ? null : results.lifetimeOnly ? (
+                  <LifetimeOnlyCard results={results} onExport={handleExportPDF} onShare={handleShareResults} />
+                ) : (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle className="text-center">10-Year Cardiovascular Risk</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                      <RiskGauge 
+                        riskPercentage={results.riskPercentage} 
+                        tone={results.riskClassification.tone} 
+                        bands={results.riskClassification.bands}
+                      />
+                      <div className="text-center mt-4">
+                        <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
+                          {
+                            green: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+                            yellow: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+                            orange: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200'
+                          }[results.riskClassification.tone] || 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+                        }`}>
+                          {results.riskClassification.label}
+                        </div>
+                        <p className="text-sm text-muted-foreground mt-2">
+                          {results.riskClassification.treatment} ({results.riskClassification.guideline})
+                        </p>
                       </div>
-                    </div>
-                    
-                    {/* Export and Share Buttons */}
-                    <div className="flex space-x-2 mt-4">
-                      <Button 
-                        variant="outline" 
-                        size="sm" 
-                        onClick={handleExportPDF}
-                        className="flex-1"
-                      >
-                        <Download className="h-4 w-4 mr-2" />
-                        Export Report
-                      </Button>
-                      <Button 
-                        variant="outline" 
-                        size="sm" 
-                        onClick={handleShareResults}
-                        className="flex-1"
-                      >
-                        <Share2 className="h-4 w-4 mr-2" />
-                        Share Results
-                      </Button>
-                    </div>
-                  </CardContent>
-                </Card>
+
+                      {/* Post-model adjustments (ancestry) */}
+                      {results.riskAdjustments?.length > 0 && <RiskAdjustmentList adjustments={results.riskAdjustments} />}
+                      
+                      {/* Export and Share Buttons */}
+                      <div className="flex space-x-2 mt-4">
+                        <Button 
+                          variant="outline" 
+                          size="sm" 
+                          onClick={handleExportPDF}
+                          className="flex-1"
+                        >
+                          <Download className="h-4 w-4 mr-2" />
+                          Export Report
+                        </Button>
+                        <Button 
+                          variant="outline" 
+                          size="sm" 
+                          onClick={handleShareResults}
+                          className="flex-1"
+                        >
+                          <Share2 className="h-4 w-4 mr-2" />
+                          Share Results
+                        </Button>
+                      </div>
+                    </CardContent>
+                  </Card>
+                )}
+
+                {/* SCORE2-OP: frailty and treatment benefit */}
+                {results.frailty && <FrailtyCard frailty={results.frailty} />}
+
+                {/* Risk on current treatment vs estimated untreated risk */}
+                {results.treatmentEffect && <TreatmentEffectCard treatmentEffect={results.treatmentEffect} />}
+
+                {/* SCORE2 vs. PCE */}
+                {results.modelComparison && <ModelComparisonCard results={results.modelComparison} />}
 
                 {/* Interpretation Card */}
-                <Card>
-                  <CardHeader>
-                    <CardTitle className="flex items-center space-x-2">
-                      <AlertTriangle className="h-5 w-5" />
-                      <span>What This Means</span>
-                    </CardTitle>
-                  </CardHeader>
-                  <CardContent>
-                    <p className="text-muted-foreground mb-4">
-                      {results.interpretation}
-                    </p>
-                    <div className="bg-muted p-4 rounded-lg">
-                      <p className="text-sm">
-                        <strong>Heart Age:</strong> {results.heartAge} years
+                {!results.lifetimeOnly && !results.scoreNotApplicable && (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle className="flex items-center space-x-2">
+                        <AlertTriangle className="h-5 w-5" />
+                        <span>What This Means</span>
+                      </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                      <p className="text-muted-foreground mb-4">
+                        {results.interpretation}
                       </p>
-                    </div>
-                  </CardContent>
-                </Card>
+                      <div className="bg-muted p-4 rounded-lg">
+                        <p className="text-sm">
+                          <strong>Heart Age:</strong> {formatHeartAge(results)}
+                        </p>
+                        <p className="text-sm mt-1">
+                          <strong>Non-HDL Cholesterol:</strong> {results.nonHdlCholesterol.value} {results.nonHdlCholesterol.unit} ({results.nonHdlCholesterol.source})
+                        </p>
+                        {results.cholesterolRatio && (
+                          <p className="text-sm mt-1">
+                            <strong>Total/HDL Cholesterol Ratio:</strong> {results.cholesterolRatio}
+                          </p>
+                        )}
+                      </div>
+                    </CardContent>
+                  </Card>
+                )}
+
+                {/* Female-specific risk enhancers */}
+                {results.riskEnhancers?.length > 0 && <RiskEnhancersCard riskEnhancers={results.riskEnhancers} />}
+
+                {/* PREVENT outcomes */}
+                {results.outcomes && <PreventOutcomesCard outcomes={results.outcomes} />}
+
+                {/* Blood Pressure */}
+                <BloodPressureCard bloodPressure={results.bloodPressure} />
+
+                {/* Coronary artery calcium: before vs after */}
+                {results.calciumScore && <CalciumScoreCard calciumScore={results.calciumScore} />}
+
+                {/* Kidney Function */}
+                {results.kidney && <KidneyCard kidney={results.kidney} />}
+
+                {/* Lipid Profile */}
+                <LipidProfileCard lipidProfile={results.lipidProfile} />
+
+                {/* LDL-C Goal */}
+                {results.ldlGoal && <LdlGoalCard ldlGoal={results.ldlGoal} />}
 
                 {/* Recommendations Card */}
                 <Card>
@@ -432,21 +1295,12 @@ function App() {
                 </Card>
 
                 {/* What If Simulation */}
-                <WhatIfSimulation 
-                  originalParams={{
-                    age: parseInt(formData.age),
-                    sex: formData.sex,
-                    region: formData.region,
-                    smoking: formData.smoking,
-                    systolicBP: parseFloat(formData.systolicBP),
-                    totalCholesterol: parseFloat(formData.totalCholesterol),
-                    cholesterolUnit: formData.cholesterolUnit,
-                    hdlCholesterol: formData.hdlCholesterol ? parseFloat(formData.hdlCholesterol) : null,
-                    diabetes: formData.diabetes,
-                    bmi: formData.bmi ? parseFloat(formData.bmi) : null
-                  }}
-                  originalRisk={results}
-                />
+                {!results.scoreNotApplicable && !results.lifetimeOnly && (
+                  <WhatIfSimulation 
+                    originalParams={results.params}
+                    originalRisk={results}
+                  />
+                )}
               </>
             )}
           </div>
@@ -0,0 +1,68 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Activity } from 'lucide-react'
+
+const BloodPressureCard = ({ bloodPressure }) => {
+  const { office, home, ambulatory, classification, pattern } = bloodPressure
+
+  const formatBP = (reading) => reading.diastolic ?
+    `${reading.systolic}/${reading.diastolic} mmHg` : `${reading.systolic} mmHg`
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Activity className="h-5 w-5" />
+          <span>Blood Pressure</span>
+        </CardTitle>
+        <CardDescription>
+          SBP used for risk: {bloodPressure.systolicBP} mmHg ({bloodPressure.systolicBPSource})
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="bg-muted p-4 rounded-lg text-center">
+          <p className={`text-lg font-bold ${
+            classification.category === 'non-elevated' ? 'text-green-600' :
+            classification.category === 'elevated' ? 'text-orange-600' : 'text-red-600'
+          }`}>
+            {classification.label}
+          </p>
+          {pattern && <p className="text-sm text-muted-foreground mt-1">{pattern}</p>}
+        </div>
+
+        <div className="space-y-2 text-sm">
+          {office && (
+            <div>
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Office average</span>
+                <span className="font-medium">{formatBP(office)}</span>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                {office.method}: {bloodPressure.officeReadings.map(formatBP).join(', ')}
+              </p>
+            </div>
+          )}
+          {bloodPressure.systolicVariability !== null && (
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">SBP variability (SD)</span>
+              <span className="font-medium">{bloodPressure.systolicVariability} mmHg</span>
+            </div>
+          )}
+          {home && (
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">Home average</span>
+              <span className="font-medium">{formatBP(home)}</span>
+            </div>
+          )}
+          {ambulatory && (
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">24-hour ambulatory average</span>
+              <span className="font-medium">{formatBP(ambulatory)}</span>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default BloodPressureCard
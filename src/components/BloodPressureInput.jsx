@@ -0,0 +1,125 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Plus, X } from 'lucide-react'
+
+const BloodPressureInput = ({ value, onChange }) => {
+  const updateReading = (index, field, fieldValue) => {
+    onChange({
+      ...value,
+      officeReadings: value.officeReadings.map((reading, i) =>
+        i === index ? { ...reading, [field]: fieldValue } : reading
+      )
+    })
+  }
+
+  const addReading = () => {
+    onChange({
+      ...value,
+      officeReadings: [...value.officeReadings, { systolic: '', diastolic: '' }]
+    })
+  }
+
+  const removeReading = (index) => {
+    onChange({
+      ...value,
+      officeReadings: value.officeReadings.filter((_, i) => i !== index)
+    })
+  }
+
+  const updateField = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue })
+  }
+
+  return (
+    <div className="space-y-3">
+      <Label>Office Blood Pressure (mmHg)</Label>
+      <p className="text-xs text-muted-foreground">
+        Enter each seated reading. With 3 or more readings the first is discarded and the rest averaged.
+      </p>
+
+      {value.officeReadings.map((reading, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <span className="text-sm text-muted-foreground w-6">{index + 1}.</span>
+          <Input
+            id={`bp-systolic-${index}`}
+            type="number"
+            min="80"
+            max="250"
+            value={reading.systolic}
+            onChange={(e) => updateReading(index, 'systolic', e.target.value)}
+            placeholder="Systolic, e.g., 120"
+            className="flex-1"
+          />
+          <span className="text-muted-foreground">/</span>
+          <Input
+            id={`bp-diastolic-${index}`}
+            type="number"
+            min="40"
+            max="150"
+            value={reading.diastolic}
+            onChange={(e) => updateReading(index, 'diastolic', e.target.value)}
+            placeholder="Diastolic (optional)"
+            className="flex-1"
+          />
+          {value.officeReadings.length > 1 && (
+            <Button variant="ghost" size="icon" onClick={() => removeReading(index)} className="h-8 w-8">
+              <X className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+      ))}
+
+      <Button variant="outline" size="sm" onClick={addReading}>
+        <Plus className="h-4 w-4 mr-2" />
+        Add Reading
+      </Button>
+
+      {/* Out-of-office averages */}
+      <div className="grid grid-cols-2 gap-4 pt-2">
+        <div className="space-y-2">
+          <Label htmlFor="homeSystolic">Home Average (optional)</Label>
+          <div className="flex items-center space-x-1">
+            <Input
+              id="homeSystolic"
+              type="number"
+              value={value.homeSystolic}
+              onChange={(e) => updateField('homeSystolic', e.target.value)}
+              placeholder="SBP"
+            />
+            <span className="text-muted-foreground">/</span>
+            <Input
+              id="homeDiastolic"
+              type="number"
+              value={value.homeDiastolic}
+              onChange={(e) => updateField('homeDiastolic', e.target.value)}
+              placeholder="DBP"
+            />
+          </div>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="ambulatorySystolic">24-h Ambulatory (optional)</Label>
+          <div className="flex items-center space-x-1">
+            <Input
+              id="ambulatorySystolic"
+              type="number"
+              value={value.ambulatorySystolic}
+              onChange={(e) => updateField('ambulatorySystolic', e.target.value)}
+              placeholder="SBP"
+            />
+            <span className="text-muted-foreground">/</span>
+            <Input
+              id="ambulatoryDiastolic"
+              type="number"
+              value={value.ambulatoryDiastolic}
+              onChange={(e) => updateField('ambulatoryDiastolic', e.target.value)}
+              placeholder="DBP"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default BloodPressureInput
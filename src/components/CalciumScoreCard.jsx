@@ -0,0 +1,31 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { ScanHeart } from 'lucide-react'
+
+const CalciumScoreCard = ({ calciumScore }) => {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <ScanHeart className="h-5 w-5" />
+          <span>Coronary Artery Calcium</span>
+        </CardTitle>
+        <CardDescription>
+          Agatston score {calciumScore.score}{calciumScore.percentile !== null && `, ${calciumScore.percentile}th percentile`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="bg-muted p-4 rounded-lg text-center">
+          <p className={`text-lg font-bold ${calciumScore.favoursTreatment ? 'text-orange-600' : 'text-green-600'}`}>
+            {calciumScore.label}
+          </p>
+        </div>
+        <p className="text-sm text-muted-foreground">{calciumScore.guidance}</p>
+        <p className="text-xs text-muted-foreground">
+          A risk modifier alongside SCORE2: the estimated risk is not recalculated from the CAC score
+        </p>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CalciumScoreCard
@@ -0,0 +1,30 @@
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { FEMALE_RISK_ENHANCERS } from '../utils/score2Calculator.js'
+
+const FemaleRiskEnhancersInput = ({ value, onChange }) => {
+  const updateCondition = (condition, checked) => {
+    onChange({ ...value, [condition]: checked })
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label>Pregnancy and Menopause History</Label>
+      {Object.entries(FEMALE_RISK_ENHANCERS).map(([condition, { label }]) => (
+        <div key={condition} className="flex items-center space-x-2">
+          <Checkbox
+            id={condition}
+            checked={value[condition]}
+            onCheckedChange={(checked) => updateCondition(condition, checked === true)}
+          />
+          <Label htmlFor={condition} className="font-normal">{label}</Label>
+        </div>
+      ))}
+      <p className="text-xs text-muted-foreground">
+        Optional: risk enhancers that are not part of the risk model
+      </p>
+    </div>
+  )
+}
+
+export default FemaleRiskEnhancersInput
@@ -0,0 +1,47 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Hourglass } from 'lucide-react'
+
+const TONE_STYLES = {
+  green: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  yellow: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  red: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+}
+
+const FrailtyCard = ({ frailty }) => {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Hourglass className="h-5 w-5" />
+          <span>Frailty and Treatment Benefit</span>
+        </CardTitle>
+        <CardDescription>
+          Whether preventive treatment is likely to pay off within the remaining life expectancy
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="bg-muted p-4 rounded-lg space-y-1 text-sm">
+          <p>
+            <strong>Clinical Frailty Scale:</strong>{' '}
+            {frailty.clinicalFrailtyScale ? `${frailty.clinicalFrailtyScale} - ${frailty.frailtyLabel}` : 'Not assessed'}
+          </p>
+          <p><strong>Comorbidities:</strong> {frailty.comorbidities.summary}</p>
+          <p>
+            <strong>Estimated Life Expectancy:</strong> {frailty.lifeExpectancy} years
+            (average for age and sex: {frailty.populationLifeExpectancy} years)
+          </p>
+          <p><strong>Time to Benefit of Statins:</strong> ~{frailty.timeToBenefit} years</p>
+        </div>
+
+        <div className="text-center">
+          <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${TONE_STYLES[frailty.tone]}`}>
+            {frailty.label}
+          </div>
+          <p className="text-sm text-muted-foreground mt-2">{frailty.summary}</p>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default FrailtyCard
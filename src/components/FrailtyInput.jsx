@@ -0,0 +1,48 @@
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { CLINICAL_FRAILTY_SCALE, COMORBIDITIES } from '../utils/frailtyCalculator.js'
+
+const FrailtyInput = ({ value, onChange }) => {
+  const updateComorbidity = (comorbidity, checked) => {
+    onChange({ ...value, comorbidities: { ...value.comorbidities, [comorbidity]: checked } })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="clinicalFrailtyScale">Clinical Frailty Scale</Label>
+        <Select value={value.clinicalFrailtyScale} onValueChange={(cfs) => onChange({ ...value, clinicalFrailtyScale: cfs })}>
+          <SelectTrigger id="clinicalFrailtyScale">
+            <SelectValue placeholder="Optional" />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(CLINICAL_FRAILTY_SCALE).map(([score, label]) => (
+              <SelectItem key={score} value={score}>{score} - {label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Major Comorbidities</Label>
+        {Object.entries(COMORBIDITIES).map(([comorbidity, { label }]) => (
+          <div key={comorbidity} className="flex items-center space-x-2">
+            <Checkbox
+              id={comorbidity}
+              checked={value.comorbidities[comorbidity]}
+              onCheckedChange={(checked) => updateComorbidity(comorbidity, checked === true)}
+            />
+            <Label htmlFor={comorbidity} className="font-normal">{label}</Label>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        SCORE2-OP: frailty and comorbidities estimate whether preventive treatment pays off within the remaining life expectancy
+      </p>
+    </div>
+  )
+}
+
+export default FrailtyInput
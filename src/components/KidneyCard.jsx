@@ -0,0 +1,56 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Droplets } from 'lucide-react'
+
+const TONE_TEXT = {
+  green: 'text-green-600',
+  yellow: 'text-yellow-600',
+  orange: 'text-orange-600',
+  red: 'text-red-600'
+}
+
+const KidneyCard = ({ kidney }) => {
+  const { kdigo } = kidney
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Droplets className="h-5 w-5" />
+          <span>Kidney Function</span>
+        </CardTitle>
+        <CardDescription>
+          KDIGO staging: {kdigo.gfrStage.stage}{kdigo.albuminuriaStage ? kdigo.albuminuriaStage.stage : ''}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="bg-muted p-4 rounded-lg text-center">
+          <p className={`text-lg font-bold ${TONE_TEXT[kdigo.tone]}`}>{kdigo.label}</p>
+          <p className="text-sm text-muted-foreground mt-1">KDIGO prognosis of CKD</p>
+        </div>
+
+        <div className="space-y-2 text-sm">
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">
+              eGFR ({kidney.egfrSource === 'entered' ? 'entered' : kidney.egfrSource})
+            </span>
+            <span className="font-medium">{kidney.egfr} mL/min/1.73m²</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">GFR category</span>
+            <span className="font-medium">{kdigo.gfrStage.stage}: {kdigo.gfrStage.label}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Albuminuria category</span>
+            <span className="font-medium">
+              {kidney.acr ?
+                `${kdigo.albuminuriaStage.stage}: ${kdigo.albuminuriaStage.label} (${kidney.acr.value} ${kidney.acr.unit})` :
+                'ACR not provided'}
+            </span>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default KidneyCard
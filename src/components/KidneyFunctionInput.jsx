@@ -0,0 +1,70 @@
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+
+const KidneyFunctionInput = ({ value, onChange, egfr }) => {
+  const updateField = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue })
+  }
+
+  return (
+    <div className="space-y-4">
+      <Label>Kidney Function</Label>
+
+      <div className="space-y-2">
+        <Label htmlFor="creatinine" className="font-normal">Serum Creatinine</Label>
+        <div className="flex space-x-2">
+          <Input
+            id="creatinine"
+            type="number"
+            step={value.creatinineUnit === 'mg/dL' ? '0.01' : '1'}
+            value={value.creatinine}
+            onChange={(e) => updateField('creatinine', e.target.value)}
+            placeholder={value.creatinineUnit === 'mg/dL' ? 'e.g., 1.0' : 'e.g., 88'}
+            className="flex-1"
+          />
+          <Select value={value.creatinineUnit} onValueChange={(unit) => updateField('creatinineUnit', unit)}>
+            <SelectTrigger className="w-28">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="µmol/L">µmol/L</SelectItem>
+              <SelectItem value="mg/dL">mg/dL</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        {value.creatinine && egfr && (
+          <p className="text-xs text-muted-foreground">
+            eGFR (CKD-EPI 2021): {egfr} mL/min/1.73m², used instead of an entered eGFR
+          </p>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="acr" className="font-normal">Urine Albumin-to-Creatinine Ratio</Label>
+        <div className="flex space-x-2">
+          <Input
+            id="acr"
+            type="number"
+            step="0.1"
+            value={value.acr}
+            onChange={(e) => updateField('acr', e.target.value)}
+            placeholder={value.acrUnit === 'mg/g' ? 'e.g., 10' : 'e.g., 1.1'}
+            className="flex-1"
+          />
+          <Select value={value.acrUnit} onValueChange={(unit) => updateField('acrUnit', unit)}>
+            <SelectTrigger className="w-28">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="mg/mmol">mg/mmol</SelectItem>
+              <SelectItem value="mg/g">mg/g</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default KidneyFunctionInput
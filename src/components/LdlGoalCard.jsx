@@ -0,0 +1,67 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Target } from 'lucide-react'
+
+const LdlGoalCard = ({ ldlGoal }) => {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Target className="h-5 w-5" />
+          <span>LDL-C Goal</span>
+        </CardTitle>
+        <CardDescription>
+          Based on the ESC risk category and the current LDL-C
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="bg-muted p-4 rounded-lg">
+          <div className="grid grid-cols-3 gap-4 text-center">
+            <div>
+              <p className="text-sm text-muted-foreground">Current</p>
+              <p className="text-xl font-bold">{ldlGoal.currentLdl} {ldlGoal.unit}</p>
+            </div>
+            <div>
+              <p className="text-sm text-muted-foreground">Target</p>
+              <p className="text-xl font-bold">&lt;{ldlGoal.target} {ldlGoal.unit}</p>
+            </div>
+            <div>
+              <p className="text-sm text-muted-foreground">Reduction Needed</p>
+              <p className={`text-xl font-bold ${ldlGoal.atGoal ? 'text-green-600' : 'text-orange-600'}`}>
+                {ldlGoal.requiredReduction}%
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {ldlGoal.currentTreatment && (
+          <p className="text-sm">
+            On {ldlGoal.currentTreatment}: estimated untreated LDL-C {ldlGoal.baselineLdl} {ldlGoal.unit}
+          </p>
+        )}
+
+        <p className="text-sm text-muted-foreground">{ldlGoal.summary}</p>
+
+        {/* Therapy escalation */}
+        {!ldlGoal.atGoal && ldlGoal.therapySteps.length > 0 && (
+          <ul className="space-y-2">
+            {ldlGoal.therapySteps.map(step => (
+              <li
+                key={step.id}
+                className={`flex justify-between text-sm p-2 rounded ${
+                  ldlGoal.suggestedStep?.id === step.id ? 'bg-primary/10 font-medium' : ''
+                }`}
+              >
+                <span>{step.label} (~{step.expectedReduction}%)</span>
+                <span className={step.reachesGoal ? 'text-green-600' : 'text-muted-foreground'}>
+                  {step.projectedLdl} {ldlGoal.unit}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default LdlGoalCard
@@ -0,0 +1,55 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Download, Share2 } from 'lucide-react'
+
+const STATUS_STYLES = {
+  optimal: { label: 'Optimal', className: 'text-green-600' },
+  elevated: { label: 'Elevated', className: 'text-yellow-600' },
+  major: { label: 'Major risk factor', className: 'text-red-600' }
+}
+
+const LifetimeOnlyCard = ({ results, onExport, onShare }) => {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-center">Cardiovascular Risk Factors</CardTitle>
+        <CardDescription className="text-center">
+          Below the SCORE2 age range: assessed on risk factor levels
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm font-medium">{results.interpretation}</p>
+        <p className="text-sm text-muted-foreground">{results.ageNote}</p>
+
+        <div className="bg-muted p-4 rounded-lg space-y-2">
+          <p className="text-sm font-medium">Risk Factor Summary</p>
+          {results.riskFactors.map(factor => (
+            <div key={factor.factor}>
+              <div className="flex justify-between text-sm">
+                <span>{factor.factor}: {factor.value}</span>
+                <span className={`font-medium ${STATUS_STYLES[factor.status].className}`}>
+                  {STATUS_STYLES[factor.status].label}
+                </span>
+              </div>
+              {factor.note && <p className="text-xs text-muted-foreground">{factor.note}</p>}
+            </div>
+          ))}
+        </div>
+
+        {/* Export and Share Buttons */}
+        <div className="flex space-x-2">
+          <Button variant="outline" size="sm" onClick={onExport} className="flex-1">
+            <Download className="h-4 w-4 mr-2" />
+            Export Report
+          </Button>
+          <Button variant="outline" size="sm" onClick={onShare} className="flex-1">
+            <Share2 className="h-4 w-4 mr-2" />
+            Share Results
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default LifetimeOnlyCard
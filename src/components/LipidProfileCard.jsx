@@ -0,0 +1,74 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { AlertTriangle, Droplet } from 'lucide-react'
+import { LDL_METHOD_LABELS } from '../utils/lipidCalculator.js'
+
+const LipidProfileCard = ({ lipidProfile }) => {
+  const { unit, ldlEstimates, preferredLdl } = lipidProfile
+
+  const rows = [
+    { label: 'Total Cholesterol', value: lipidProfile.totalCholesterol, unit },
+    { label: 'HDL Cholesterol', value: lipidProfile.hdlCholesterol, unit },
+    { label: 'Non-HDL Cholesterol', value: lipidProfile.nonHdlCholesterol, unit },
+    { label: 'Triglycerides', value: lipidProfile.triglycerides, unit },
+    { label: 'ApoB', value: lipidProfile.apoB?.value, unit: lipidProfile.apoB?.unit }
+  ].filter(row => row.value !== null && row.value !== undefined)
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Droplet className="h-5 w-5" />
+          <span>Lipid Profile</span>
+        </CardTitle>
+        <CardDescription>
+          LDL-C is estimated when it was not measured directly
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          {rows.map(row => (
+            <div key={row.label} className="flex justify-between border-b py-1">
+              <span className="text-muted-foreground">{row.label}</span>
+              <span className="font-medium">{row.value} {row.unit}</span>
+            </div>
+          ))}
+        </div>
+
+        {/* LDL-C by method */}
+        <div className="bg-muted p-4 rounded-lg">
+          <p className="text-sm font-medium mb-2">LDL Cholesterol</p>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            {Object.entries(ldlEstimates).map(([method, value]) => (
+              <div key={method} className="flex justify-between">
+                <span className={preferredLdl?.method === method ? 'font-semibold' : 'text-muted-foreground'}>
+                  {LDL_METHOD_LABELS[method]}
+                </span>
+                <span className={preferredLdl?.method === method ? 'font-semibold' : ''}>
+                  {value !== null ? `${value} ${unit}` : '—'}
+                </span>
+              </div>
+            ))}
+          </div>
+          {preferredLdl && (
+            <p className="text-xs text-muted-foreground mt-2">
+              Preferred value: {LDL_METHOD_LABELS[preferredLdl.method]}
+            </p>
+          )}
+        </div>
+
+        {lipidProfile.warnings.length > 0 && (
+          <ul className="space-y-1">
+            {lipidProfile.warnings.map((warning, index) => (
+              <li key={index} className="flex items-start space-x-2 text-xs text-yellow-800 dark:text-yellow-200">
+                <AlertTriangle className="h-3.5 w-3.5 mt-0.5 flex-shrink-0" />
+                <span>{warning}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default LipidProfileCard
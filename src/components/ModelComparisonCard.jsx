@@ -0,0 +1,40 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Scale } from 'lucide-react'
+
+const ModelComparisonCard = ({ results }) => {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Scale className="h-5 w-5" />
+          <span>SCORE2 vs. Pooled Cohort Equations</span>
+        </CardTitle>
+        <CardDescription>
+          10-year risk for the same patient with both models
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          {results.map(result => (
+            <div key={result.modelId} className="bg-muted p-4 rounded-lg text-center">
+              <p className="text-sm text-muted-foreground">{result.algorithm}</p>
+              <p className="text-3xl font-bold">{result.riskPercentage}%</p>
+              <p className="text-xs text-muted-foreground mt-1">
+                {result.riskClassification.label} ({result.riskClassification.guideline})
+              </p>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-muted-foreground">
+          The two numbers are not interchangeable. SCORE2 predicts fatal and non-fatal CVD events
+          (heart attack, stroke, cardiovascular death) and is recalibrated to contemporary European
+          risk regions. The PCE predict hard ASCVD (non-fatal heart attack, coronary death, stroke)
+          in US cohorts from the 1960s–1990s, are race-specific and tend to overestimate risk in
+          today's populations. Each should be read against its own treatment thresholds.
+        </p>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ModelComparisonCard
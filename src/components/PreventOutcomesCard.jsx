@@ -0,0 +1,56 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Activity } from 'lucide-react'
+
+const OUTCOME_LABELS = {
+  cvd: 'Total CVD',
+  ascvd: 'ASCVD',
+  heartFailure: 'Heart Failure'
+}
+
+const PreventOutcomesCard = ({ outcomes }) => {
+  const horizons = [
+    { label: '10-Year', risks: outcomes.tenYear },
+    { label: '30-Year', risks: outcomes.thirtyYear }
+  ]
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Activity className="h-5 w-5" />
+          <span>PREVENT Outcomes</span>
+        </CardTitle>
+        <CardDescription>
+          Total CVD includes ASCVD (heart attack, stroke) and heart failure
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="bg-muted p-4 rounded-lg">
+          <div className="grid grid-cols-3 gap-2 text-sm">
+            <span />
+            {horizons.map(horizon => (
+              <span key={horizon.label} className="text-right text-muted-foreground">{horizon.label}</span>
+            ))}
+            {Object.entries(OUTCOME_LABELS).map(([outcome, label]) => (
+              <div key={outcome} className="contents">
+                <span className="font-medium">{label}</span>
+                {horizons.map(horizon => (
+                  <span key={horizon.label} className="text-right font-medium">
+                    {horizon.risks ? `${horizon.risks[outcome]}%` : '—'}
+                  </span>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+        {!outcomes.thirtyYear && (
+          <p className="text-xs text-muted-foreground mt-2">
+            30-year risk is only estimated for ages 30–59
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PreventOutcomesCard
@@ -0,0 +1,107 @@
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { QRISK3_CONDITIONS, QRISK3_ETHNICITIES, QRISK3_SMOKING_CATEGORIES } from '../utils/qrisk3Calculator.js'
+
+const Qrisk3Input = ({ value, onChange, sex, hasDiabetes }) => {
+  const updateField = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue })
+  }
+
+  const updateCondition = (condition, checked) => {
+    onChange({ ...value, conditions: { ...value.conditions, [condition]: checked } })
+  }
+
+  // Erectile dysfunction only applies to the male equation
+  const conditions = Object.entries(QRISK3_CONDITIONS)
+    .filter(([condition]) => condition !== 'erectileDysfunction' || sex === 'male')
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="ethnicity">Ethnicity</Label>
+        <Select value={value.ethnicity} onValueChange={(ethnicity) => updateField('ethnicity', ethnicity)}>
+          <SelectTrigger id="ethnicity">
+            <SelectValue placeholder="Select ethnicity" />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(QRISK3_ETHNICITIES).map(([code, label]) => (
+              <SelectItem key={code} value={code}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="smokingCategory">Smoking Status</Label>
+        <Select value={value.smokingCategory} onValueChange={(category) => updateField('smokingCategory', category)}>
+          <SelectTrigger id="smokingCategory">
+            <SelectValue placeholder="Select smoking status" />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(QRISK3_SMOKING_CATEGORIES).map(([code, label]) => (
+              <SelectItem key={code} value={code}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {hasDiabetes && (
+        <div className="space-y-2">
+          <Label htmlFor="diabetesType">Diabetes Type</Label>
+          <Select value={value.diabetesType} onValueChange={(type) => updateField('diabetesType', type)}>
+            <SelectTrigger id="diabetesType">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="type1">Type 1</SelectItem>
+              <SelectItem value="type2">Type 2</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="townsend">Townsend Score (optional)</Label>
+          <Input
+            id="townsend"
+            type="number"
+            step="0.1"
+            value={value.townsend}
+            onChange={(e) => updateField('townsend', e.target.value)}
+            placeholder="0 if unknown"
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="sbpVariability">SBP Variability, SD (optional)</Label>
+          <Input
+            id="sbpVariability"
+            type="number"
+            step="0.1"
+            value={value.sbpVariability}
+            onChange={(e) => updateField('sbpVariability', e.target.value)}
+            placeholder="From 2+ office readings"
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Conditions and Treatments</Label>
+        {conditions.map(([condition, label]) => (
+          <div key={condition} className="flex items-center space-x-2">
+            <Checkbox
+              id={condition}
+              checked={value.conditions[condition]}
+              onCheckedChange={(checked) => updateCondition(condition, checked === true)}
+            />
+            <Label htmlFor={condition} className="font-normal">{label}</Label>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default Qrisk3Input
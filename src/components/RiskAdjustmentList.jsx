@@ -0,0 +1,24 @@
+const RiskAdjustmentList = ({ adjustments }) => {
+  const finalAdjustment = adjustments[adjustments.length - 1]
+  const originalClassification = adjustments[0].unadjustedClassification
+  const categoryChanged = finalAdjustment.adjustedClassification.category !== originalClassification.category
+
+  return (
+    <div className="bg-muted p-3 rounded-lg mt-4 text-sm space-y-1">
+      <p className="font-medium">Risk Adjustments</p>
+      {adjustments.map(adjustment => (
+        <p key={adjustment.id} className="text-muted-foreground">{adjustment.summary}</p>
+      ))}
+      <p className="font-medium pt-1">
+        Adjusted risk: {finalAdjustment.adjustedRisk}% ({finalAdjustment.adjustedClassification.label})
+      </p>
+      {categoryChanged && (
+        <p className="text-xs text-muted-foreground">
+          Category changes from {originalClassification.label} to {finalAdjustment.adjustedClassification.label}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default RiskAdjustmentList
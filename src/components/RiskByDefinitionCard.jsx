@@ -0,0 +1,61 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Download, ShieldAlert, Share2 } from 'lucide-react'
+
+const TONE_STYLES = {
+  orange: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
+  red: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+}
+
+const RiskByDefinitionCard = ({ screen, onExport, onShare }) => {
+  return (
+    <Card className="border-red-200 dark:border-red-800">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <ShieldAlert className="h-5 w-5 text-red-500" />
+          <span>SCORE2 Not Applicable</span>
+        </CardTitle>
+        <CardDescription>
+          SCORE2 is for apparently healthy people; these conditions set the risk category without a calculation
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <ul className="space-y-1 text-sm">
+          {screen.reasons.map(reason => (
+            <li key={reason.condition} className="flex justify-between">
+              <span>{reason.label}</span>
+              <span className="text-muted-foreground">
+                {reason.category === 'very-high' ? 'Very high risk' : 'High risk'}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="text-center">
+          <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${TONE_STYLES[screen.tone]}`}>
+            {screen.label}
+          </div>
+          <p className="text-sm text-muted-foreground mt-2">
+            {screen.treatment} ({screen.guideline})
+          </p>
+        </div>
+
+        {/* Export and Share Buttons (only when this card replaces the risk score) */}
+        {onExport && onShare && (
+          <div className="flex space-x-2">
+            <Button variant="outline" size="sm" onClick={onExport} className="flex-1">
+              <Download className="h-4 w-4 mr-2" />
+              Export Report
+            </Button>
+            <Button variant="outline" size="sm" onClick={onShare} className="flex-1">
+              <Share2 className="h-4 w-4 mr-2" />
+              Share Results
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default RiskByDefinitionCard
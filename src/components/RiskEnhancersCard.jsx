@@ -0,0 +1,27 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Flag } from 'lucide-react'
+
+const RiskEnhancersCard = ({ riskEnhancers }) => {
+  return (
+    <Card className="border-orange-200 dark:border-orange-800">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Flag className="h-5 w-5 text-orange-500" />
+          <span>Risk Enhancers</span>
+        </CardTitle>
+        <CardDescription>
+          Not included in the estimate; the ESC treats them as risk modifiers that favour treatment near a threshold
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ul className="space-y-1 text-sm">
+          {riskEnhancers.map(enhancer => (
+            <li key={enhancer.condition}>{enhancer.label}</li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default RiskEnhancersCard
@@ -1,12 +1,12 @@
 import { PieChart, Pie, Cell, ResponsiveContainer } from 'recharts'
 
-const RiskGauge = ({ riskPercentage, riskCategory }) => {
-  // Define colors for different risk categories
-  const riskColors = {
-    'low': '#22c55e',      // green
-    'moderate': '#eab308',  // yellow
-    'high': '#f97316',     // orange
-    'very-high': '#ef4444' // red
+const RiskGauge = ({ riskPercentage, tone, bands }) => {
+  // Define colors for the risk category tones
+  const toneColors = {
+    'green': '#22c55e',
+    'yellow': '#eab308',
+    'orange': '#f97316',
+    'red': '#ef4444'
   }
 
   // Create data for the gauge
@@ -14,7 +14,7 @@ const RiskGauge = ({ riskPercentage, riskCategory }) => {
     {
       name: 'Risk',
       value: riskPercentage,
-      color: riskColors[riskCategory] || '#6b7280'
+      color: toneColors[tone] || '#6b7280'
     },
     {
       name: 'Remaining',
@@ -50,27 +50,44 @@ const RiskGauge = ({ riskPercentage, riskCategory }) => {
   }
 
   return (
-    <div className="w-full h-64 flex items-center justify-center">
-      <ResponsiveContainer width="100%" height="100%">
-        <PieChart>
-          <Pie
-            data={gaugeData}
-            cx="50%"
-            cy="50%"
-            startAngle={180}
-            endAngle={0}
-            innerRadius={60}
-            outerRadius={100}
-            dataKey="value"
-            labelLine={false}
-            label={renderCustomLabel}
-          >
-            {gaugeData.map((entry, index) => (
-              <Cell key={`cell-${index}`} fill={entry.color} />
-            ))}
-          </Pie>
-        </PieChart>
-      </ResponsiveContainer>
+    <div className="w-full">
+      <div className="w-full h-64 flex items-center justify-center">
+        <ResponsiveContainer width="100%" height="100%">
+          <PieChart>
+            <Pie
+              data={gaugeData}
+              cx="50%"
+              cy="50%"
+              startAngle={180}
+              endAngle={0}
+              innerRadius={60}
+              outerRadius={100}
+              dataKey="value"
+              labelLine={false}
+              label={renderCustomLabel}
+            >
+              {gaugeData.map((entry, index) => (
+                <Cell key={`cell-${index}`} fill={entry.color} />
+              ))}
+            </Pie>
+          </PieChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Category thresholds for the model (and age band) */}
+      {bands && (
+        <div
+          className="grid gap-2 text-center text-xs text-muted-foreground mt-2"
+          style={{ gridTemplateColumns: `repeat(${bands.length}, minmax(0, 1fr))` }}
+        >
+          {bands.map(band => (
+            <div key={band.category}>
+              <div className="h-1.5 rounded-full mb-1" style={{ backgroundColor: toneColors[band.tone] }} />
+              {band.range}
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,82 @@
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group.jsx'
+import { calculatePackYears } from '../utils/smokingCalculator.js'
+
+const SmokingHistoryInput = ({ value, onChange, status }) => {
+  const updateField = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue })
+  }
+
+  const hasSmoked = status === 'smoker' || status === 'former-smoker'
+  const packYears = calculatePackYears(parseFloat(value.cigarettesPerDay), parseFloat(value.yearsSmoked))
+
+  return (
+    <div className="space-y-4">
+      {status === 'former-smoker' && (
+        <div className="space-y-2">
+          <Label htmlFor="quitDate">Quit Date</Label>
+          <Input
+            id="quitDate"
+            type="month"
+            value={value.quitDate}
+            onChange={(e) => updateField('quitDate', e.target.value)}
+          />
+          <p className="text-xs text-muted-foreground">
+            SCORE2 counts former smokers as non-smokers; the excess risk fades over the years after quitting
+          </p>
+        </div>
+      )}
+
+      {hasSmoked && (
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="cigarettesPerDay">Cigarettes per Day</Label>
+            <Input
+              id="cigarettesPerDay"
+              type="number"
+              min="1"
+              value={value.cigarettesPerDay}
+              onChange={(e) => updateField('cigarettesPerDay', e.target.value)}
+              placeholder="e.g., 20"
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="yearsSmoked">Years Smoked</Label>
+            <Input
+              id="yearsSmoked"
+              type="number"
+              min="0"
+              value={value.yearsSmoked}
+              onChange={(e) => updateField('yearsSmoked', e.target.value)}
+              placeholder="e.g., 20"
+            />
+          </div>
+          {packYears !== null && (
+            <p className="col-span-2 text-xs text-muted-foreground">{packYears} pack-years</p>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <Label>E-cigarettes / Vaping</Label>
+        <RadioGroup
+          value={value.vaping}
+          onValueChange={(vaping) => updateField('vaping', vaping)}
+          className="flex space-x-6"
+        >
+          <div className="flex items-center space-x-2">
+            <RadioGroupItem value="no" id="no-vaping" />
+            <Label htmlFor="no-vaping">No</Label>
+          </div>
+          <div className="flex items-center space-x-2">
+            <RadioGroupItem value="yes" id="yes-vaping" />
+            <Label htmlFor="yes-vaping">Yes</Label>
+          </div>
+        </RadioGroup>
+      </div>
+    </div>
+  )
+}
+
+export default SmokingHistoryInput
@@ -0,0 +1,66 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Pill } from 'lucide-react'
+
+const TONE_TEXT = {
+  green: 'text-green-600',
+  yellow: 'text-yellow-600',
+  orange: 'text-orange-600',
+  red: 'text-red-600'
+}
+
+const TreatmentEffectCard = ({ treatmentEffect }) => {
+  const { lipidLowering, bpLowering, current, untreated } = treatmentEffect
+  const phases = [
+    { label: 'Risk on Current Treatment', risk: treatmentEffect.onTreatmentRisk, classification: treatmentEffect.onTreatmentClassification },
+    { label: 'Estimated Untreated Risk', risk: treatmentEffect.untreatedRisk, classification: treatmentEffect.untreatedClassification }
+  ]
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Pill className="h-5 w-5" />
+          <span>Current Treatment</span>
+        </CardTitle>
+        <CardDescription>
+          The risk models were derived on untreated values; the untreated values are estimated from the expected drug effects
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="bg-muted p-4 rounded-lg">
+          <div className="grid grid-cols-2 gap-4 text-center">
+            {phases.map(phase => (
+              <div key={phase.label}>
+                <p className="text-sm text-muted-foreground">{phase.label}</p>
+                <p className={`text-2xl font-bold ${TONE_TEXT[phase.classification.tone] || ''}`}>{phase.risk}%</p>
+                <p className="text-xs text-muted-foreground">{phase.classification.label}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-1 text-sm">
+          {lipidLowering && (
+            <p>
+              <strong>Lipid-lowering:</strong> {lipidLowering.summary} (~{lipidLowering.ldlReduction}% LDL-C);
+              total cholesterol {current.totalCholesterol} → ~{untreated.totalCholesterol} untreated
+            </p>
+          )}
+          {bpLowering && (
+            <p>
+              <strong>Blood pressure:</strong> {bpLowering.summary} (~{bpLowering.sbpReduction} mmHg);
+              SBP {current.systolicBP} → ~{untreated.systolicBP} mmHg untreated
+            </p>
+          )}
+        </div>
+
+        <p className="text-sm text-muted-foreground">
+          Current treatment lowers the estimated risk by about {treatmentEffect.riskReduction} percentage points.
+          The risk on treatment is the residual risk; compare it with the untreated risk when judging whether to intensify treatment.
+        </p>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default TreatmentEffectCard
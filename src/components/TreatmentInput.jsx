@@ -0,0 +1,98 @@
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { STATINS, LIPID_ADD_ONS, BP_DRUG_CLASSES, BP_DOSES } from '../utils/treatmentCalculator.js'
+
+const TreatmentInput = ({ value, onChange }) => {
+  const updateField = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue })
+  }
+
+  // 'none' clears the selection
+  const updateStatin = (statin) => {
+    onChange({ ...value, statin: statin === 'none' ? '' : statin, statinDose: '' })
+  }
+
+  const updateBpDrug = (drugClass, dose) => {
+    onChange({ ...value, bpDrugs: { ...value.bpDrugs, [drugClass]: dose === 'none' ? '' : dose } })
+  }
+
+  return (
+    <div className="space-y-4">
+      <Label>Current Treatment</Label>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="currentStatin" className="font-normal">Statin</Label>
+          <Select value={value.statin} onValueChange={updateStatin}>
+            <SelectTrigger id="currentStatin">
+              <SelectValue placeholder="None" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">None</SelectItem>
+              {Object.entries(STATINS).map(([statin, { label }]) => (
+                <SelectItem key={statin} value={statin}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="statinDose" className="font-normal">Daily Dose</Label>
+          <Select
+            value={value.statinDose}
+            onValueChange={(dose) => updateField('statinDose', dose)}
+            disabled={!value.statin}
+          >
+            <SelectTrigger id="statinDose">
+              <SelectValue placeholder="Select dose" />
+            </SelectTrigger>
+            <SelectContent>
+              {value.statin && Object.entries(STATINS[value.statin].doses).map(([dose, intensity]) => (
+                <SelectItem key={dose} value={dose}>{dose} mg ({intensity} intensity)</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="flex space-x-6">
+        {Object.entries(LIPID_ADD_ONS).map(([addOn, { label }]) => (
+          <div key={addOn} className="flex items-center space-x-2">
+            <Checkbox
+              id={addOn}
+              checked={value[addOn]}
+              onCheckedChange={(checked) => updateField(addOn, checked === true)}
+            />
+            <Label htmlFor={addOn} className="font-normal">{label}</Label>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <Label className="font-normal">Blood Pressure Medication</Label>
+        {Object.entries(BP_DRUG_CLASSES).map(([drugClass, label]) => (
+          <div key={drugClass} className="flex items-center justify-between space-x-2">
+            <span className="text-sm">{label}</span>
+            <Select value={value.bpDrugs[drugClass]} onValueChange={(dose) => updateBpDrug(drugClass, dose)}>
+              <SelectTrigger className="w-48">
+                <SelectValue placeholder="Not taking" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="none">Not taking</SelectItem>
+                {Object.entries(BP_DOSES).map(([dose, { label: doseLabel }]) => (
+                  <SelectItem key={dose} value={dose}>{doseLabel}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        Optional: enter the values measured on treatment; the untreated values are estimated from the expected drug effects
+      </p>
+    </div>
+  )
+}
+
+export default TreatmentInput
@@ -3,28 +3,62 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Slider } from '@/components/ui/slider.jsx'
 import { Label } from '@/components/ui/label.jsx'
 import { Switch } from '@/components/ui/switch.jsx'
-import { calculateSCORE2Risk } from '../utils/score2Calculator.js'
+import { calculateRisk } from '../utils/riskModels.js'
+import { projectRiskAfterQuitting } from '../utils/smokingCalculator.js'
+import { QRISK3_SMOKING_CATEGORIES } from '../utils/qrisk3Calculator.js'
 import { TrendingDown, TrendingUp } from 'lucide-react'
 
+// Total cholesterol slider range by unit
+const CHOLESTEROL_SLIDER = {
+  'mmol/L': { min: 3, max: 10, step: 0.1 },
+  'mg/dL': { min: 115, max: 390, step: 5 }
+}
+
+/**
+ * QRISK3 smoking category for the simulated smoking status
+ * A smoker who quits becomes an ex-smoker; a non-smoker who starts is simulated as a moderate smoker
+ */
+const simulatedSmokingCategory = (originalCategory, isNonSmoker) => {
+  const isSmoker = ['light', 'moderate', 'heavy'].includes(originalCategory)
+  if (isNonSmoker) return isSmoker ? 'ex-smoker' : originalCategory
+  return isSmoker ? originalCategory : 'moderate'
+}
+
 const WhatIfSimulation = ({ originalParams, originalRisk }) => {
   const [simulationParams, setSimulationParams] = useState(originalParams)
   const [simulatedRisk, setSimulatedRisk] = useState(originalRisk)
   const [isNonSmoker, setIsNonSmoker] = useState(originalParams.smoking === 'non-smoker')
+  const [quitProjection, setQuitProjection] = useState(null)
+
+  // A new calculation resets the simulation to its inputs
+  useEffect(() => {
+    setSimulationParams(originalParams)
+    setIsNonSmoker(originalParams.smoking === 'non-smoker')
+    setQuitProjection(null)
+  }, [originalParams])
 
   // Update simulation when parameters change
   useEffect(() => {
     const newParams = {
       ...simulationParams,
-      smoking: isNonSmoker ? 'non-smoker' : 'smoker'
+      smoking: isNonSmoker ? 'non-smoker' : 'smoker',
+      // QRISK3 uses the graded smoking category rather than smoker / non-smoker
+      ...(originalRisk.modelId === 'qrisk3' ?
+        { smokingCategory: simulatedSmokingCategory(originalParams.smokingCategory, isNonSmoker) } : {})
     }
     
     try {
-      const newRisk = calculateSCORE2Risk(newParams)
-      setSimulatedRisk(newRisk)
+      setSimulatedRisk(calculateRisk(originalRisk.modelId, newParams))
+
+      // Current smokers: how the risk evolves in the years after quitting
+      // (QRISK3 grades smoking by amount, so it is not projected from smoker / non-smoker)
+      if (originalParams.smoking === 'smoker' && originalRisk.modelId !== 'qrisk3') {
+        setQuitProjection(projectRiskAfterQuitting(originalRisk.modelId, simulationParams))
+      }
     } catch (error) {
       console.error('Error calculating simulated risk:', error)
     }
-  }, [simulationParams, isNonSmoker])
+  }, [simulationParams, isNonSmoker, originalParams, originalRisk.modelId])
 
   const handleBPChange = (value) => {
     setSimulationParams(prev => ({
@@ -34,13 +68,20 @@ const WhatIfSimulation = ({ originalParams, originalRisk }) => {
   }
 
   const handleCholesterolChange = (value) => {
+    // Non-HDL is re-derived from the simulated total cholesterol
     setSimulationParams(prev => ({
       ...prev,
-      totalCholesterol: value[0]
+      totalCholesterol: value[0],
+      nonHdlCholesterol: null
     }))
   }
 
-  const riskDifference = simulatedRisk.riskPercentage - originalRisk.riskPercentage
+  const cholesterolUnit = originalParams.cholesterolUnit
+  const cholesterolSlider = CHOLESTEROL_SLIDER[cholesterolUnit]
+
+  const currentRisk = originalRisk.riskPercentage
+  const simulatedRiskPercentage = simulatedRisk.riskPercentage
+  const riskDifference = simulatedRiskPercentage - currentRisk
   const isImprovement = riskDifference < 0
 
   return (
@@ -64,12 +105,12 @@ const WhatIfSimulation = ({ originalParams, originalRisk }) => {
           <div className="grid grid-cols-2 gap-4 text-center">
             <div>
               <p className="text-sm text-muted-foreground">Current Risk</p>
-              <p className="text-2xl font-bold">{originalRisk.riskPercentage}%</p>
+              <p className="text-2xl font-bold">{currentRisk}%</p>
             </div>
             <div>
               <p className="text-sm text-muted-foreground">Simulated Risk</p>
               <p className={`text-2xl font-bold ${isImprovement ? 'text-green-600' : 'text-red-600'}`}>
-                {simulatedRisk.riskPercentage}%
+                {simulatedRiskPercentage}%
               </p>
             </div>
           </div>
@@ -91,10 +132,42 @@ const WhatIfSimulation = ({ originalParams, originalRisk }) => {
             />
           </div>
           <p className="text-xs text-muted-foreground">
-            {isNonSmoker ? 'Simulating as non-smoker' : 'Simulating as smoker'}
+            {originalRisk.modelId === 'qrisk3' ?
+              `Simulating as ${QRISK3_SMOKING_CATEGORIES[simulatedSmokingCategory(originalParams.smokingCategory, isNonSmoker)].toLowerCase()}` :
+              isNonSmoker ? 'Simulating as non-smoker' : 'Simulating as smoker'}
           </p>
         </div>
 
+        {/* Risk in the years after quitting */}
+        {quitProjection?.length > 0 && (
+          <div className="space-y-2">
+            <Label>Risk After Quitting</Label>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-muted-foreground">
+                  <th className="text-left font-normal">Years after quitting</th>
+                  <th className="text-right font-normal">Keep smoking</th>
+                  <th className="text-right font-normal">Quit</th>
+                  <th className="text-right font-normal">Never smoked</th>
+                </tr>
+              </thead>
+              <tbody>
+                {quitProjection.map(row => (
+                  <tr key={row.years}>
+                    <td>{row.years} (age {row.age})</td>
+                    <td className="text-right text-red-600">{row.continuingRisk}%</td>
+                    <td className="text-right text-green-600">{row.quitRisk}%</td>
+                    <td className="text-right text-muted-foreground">{row.neverSmokerRisk}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-muted-foreground">
+              10-year risk at each age; after quitting the excess risk of smoking fades towards a never-smoker's over 10-15 years
+            </p>
+          </div>
+        )}
+
         {/* Blood Pressure Slider */}
         <div className="space-y-2">
           <Label>Systolic Blood Pressure: {simulationParams.systolicBP} mmHg</Label>
@@ -114,18 +187,18 @@ const WhatIfSimulation = ({ originalParams, originalRisk }) => {
 
         {/* Cholesterol Slider */}
         <div className="space-y-2">
-          <Label>Total Cholesterol: {simulationParams.totalCholesterol} mmol/L</Label>
+          <Label>Total Cholesterol: {simulationParams.totalCholesterol} {cholesterolUnit}</Label>
           <Slider
             value={[simulationParams.totalCholesterol]}
             onValueChange={handleCholesterolChange}
-            max={10}
-            min={3}
-            step={0.1}
+            max={cholesterolSlider.max}
+            min={cholesterolSlider.min}
+            step={cholesterolSlider.step}
             className="w-full"
           />
           <div className="flex justify-between text-xs text-muted-foreground">
-            <span>3.0 mmol/L</span>
-            <span>10.0 mmol/L</span>
+            <span>{cholesterolSlider.min} {cholesterolUnit}</span>
+            <span>{cholesterolSlider.max} {cholesterolUnit}</span>
           </div>
         </div>
 
@@ -0,0 +1,40 @@
+// Ancestry Risk Adjustment
+// Multiplies the SCORE2 family risk by the ESC correction factor for people of non-European
+// ancestry living in Europe; SCORE2 itself was derived in mainly white European cohorts
+// Reference: 2021 ESC Guidelines on cardiovascular disease prevention in clinical practice
+// (correction factors derived from QRISK3 in the UK population)
+
+import { buildRiskAdjustment } from './score2Calculator.js';
+
+// ESC 2021 multipliers by ancestry, grouped as in the guideline table
+export const ANCESTRY_MULTIPLIERS = {
+  'indian': { group: 'South Asian', label: 'Indian', multiplier: 1.3 },
+  'pakistani': { group: 'South Asian', label: 'Pakistani', multiplier: 1.7 },
+  'bangladeshi': { group: 'South Asian', label: 'Bangladeshi', multiplier: 1.1 },
+  'other-asian': { group: 'Other Asian', label: 'Other Asian', multiplier: 1.1 },
+  'black-caribbean': { group: 'Black African/Caribbean', label: 'Black Caribbean', multiplier: 0.85 },
+  'black-african': { group: 'Black African/Caribbean', label: 'Black African', multiplier: 0.6 },
+  'chinese': { group: 'Chinese', label: 'Chinese', multiplier: 0.7 }
+};
+
+/**
+ * Apply the ESC ancestry multiplier to a SCORE2 family risk
+ * @param {Object} base - { riskPercentage, riskClassification, label } (see applyRiskAdjustments)
+ * @param {string} ancestry - Key of ANCESTRY_MULTIPLIERS, or 'european' / '' for no adjustment
+ * @param {number} age - Age in years
+ * @returns {Object|null} Adjustment (see buildRiskAdjustment) with multiplier and ancestry, or null without one
+ */
+export function applyAncestryMultiplier(base, ancestry, age) {
+  const entry = ANCESTRY_MULTIPLIERS[ancestry];
+  if (!entry) return null;
+
+  const label = entry.group === entry.label ? entry.label : `${entry.group} (${entry.label})`;
+
+  return buildRiskAdjustment(base, base.riskPercentage * entry.multiplier, age, {
+    id: 'ancestry',
+    label: 'Ancestry',
+    description: `× ${entry.multiplier} ${label}`,
+    multiplier: entry.multiplier,
+    ancestry: { id: ancestry, ...entry }
+  });
+}
@@ -0,0 +1,165 @@
+// Blood Pressure Assessment
+// Averages office readings, classifies BP and derives the SBP used by the risk models
+// Reference: 2024 ESC Guidelines for the management of elevated blood pressure and hypertension
+
+// Classification thresholds (mmHg) by measurement context: [elevated from, hypertension from]
+const BP_THRESHOLDS = {
+  office: { systolic: [120, 140], diastolic: [70, 90] },
+  home: { systolic: [120, 135], diastolic: [70, 85] },
+  ambulatory: { systolic: [115, 130], diastolic: [65, 80] }
+};
+
+const BP_CATEGORIES = {
+  'non-elevated': 'Non-elevated BP',
+  'elevated': 'Elevated BP',
+  'hypertension': 'Hypertension'
+};
+
+const CONTEXT_LABELS = {
+  office: 'Office',
+  home: 'Home (average)',
+  ambulatory: '24-hour ambulatory (average)'
+};
+
+/**
+ * Average office readings per guideline: with three or more readings the first
+ * is discarded and the rest averaged; otherwise all readings are averaged
+ * @param {Array<Object>} readings - [{ systolic, diastolic }]
+ * @returns {Object} { systolic, diastolic, method, usedReadings }
+ */
+export function averageOfficeReadings(readings) {
+  const usedReadings = readings.length >= 3 ? readings.slice(1) : readings;
+  const method = readings.length >= 3 ?
+    `First of ${readings.length} readings discarded, mean of the remaining ${usedReadings.length}` :
+    readings.length === 2 ? 'Mean of 2 readings' : 'Single reading';
+
+  const mean = (values) => values.length ?
+    Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+  return {
+    systolic: mean(usedReadings.map(reading => reading.systolic)),
+    diastolic: mean(usedReadings.map(reading => reading.diastolic).filter(Boolean)),
+    method,
+    usedReadings: usedReadings.length
+  };
+}
+
+/**
+ * Standard deviation of systolic readings (used as SBP variability by QRISK3);
+ * all readings count, including a discarded first one
+ * @returns {number|null} Sample SD in mmHg, or null with fewer than 2 readings
+ */
+export function systolicVariability(readings) {
+  if (readings.length < 2) return null;
+
+  const values = readings.map(reading => reading.systolic);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+
+  return Math.round(Math.sqrt(variance) * 10) / 10;
+}
+
+/**
+ * Classify a BP value for a measurement context; the higher of the systolic
+ * and diastolic categories applies
+ */
+export function classifyBloodPressure(systolic, diastolic, context = 'office') {
+  const thresholds = BP_THRESHOLDS[context];
+  const level = (value, [elevated, hypertension]) => {
+    if (!value) return 0;
+    if (value >= hypertension) return 2;
+    if (value >= elevated) return 1;
+    return 0;
+  };
+
+  const categoryIndex = Math.max(
+    level(systolic, thresholds.systolic),
+    level(diastolic, thresholds.diastolic)
+  );
+  const category = Object.keys(BP_CATEGORIES)[categoryIndex];
+
+  return { category, label: BP_CATEGORIES[category], context };
+}
+
+/**
+ * Assess blood pressure from office readings and optional out-of-office averages
+ * @param {Object} params - BP measurements
+ * @param {Array<Object>} params.officeReadings - [{ systolic, diastolic }] in mmHg
+ * @param {Object} params.homeAverage - { systolic, diastolic } (optional)
+ * @param {Object} params.ambulatoryAverage - 24-hour { systolic, diastolic } (optional)
+ * @returns {Object} Averages, classification and the SBP to use in the risk model
+ */
+export function assessBloodPressure(params) {
+  const officeReadings = (params.officeReadings || []).filter(reading => reading.systolic);
+  const office = officeReadings.length ? averageOfficeReadings(officeReadings) : null;
+  const home = params.homeAverage?.systolic ? params.homeAverage : null;
+  const ambulatory = params.ambulatoryAverage?.systolic ? params.ambulatoryAverage : null;
+
+  const classifications = {
+    office: office ? classifyBloodPressure(office.systolic, office.diastolic, 'office') : null,
+    home: home ? classifyBloodPressure(home.systolic, home.diastolic, 'home') : null,
+    ambulatory: ambulatory ? classifyBloodPressure(ambulatory.systolic, ambulatory.diastolic, 'ambulatory') : null
+  };
+
+  // Out-of-office measurements confirm the diagnosis when available
+  const outOfOffice = classifications.ambulatory || classifications.home;
+  const classification = outOfOffice || classifications.office;
+
+  let pattern = null;
+  if (classifications.office && outOfOffice) {
+    const officeHypertensive = classifications.office.category === 'hypertension';
+    const outOfOfficeHypertensive = outOfOffice.category === 'hypertension';
+    if (officeHypertensive && !outOfOfficeHypertensive) pattern = 'White-coat hypertension';
+    if (!officeHypertensive && outOfOfficeHypertensive) pattern = 'Masked hypertension';
+  }
+
+  // The risk models were derived on office SBP; fall back to out-of-office averages
+  const modelSource = office ? 'office' : ambulatory ? 'ambulatory' : home ? 'home' : null;
+  const modelSystolicBP = office ? office.systolic :
+    ambulatory ? ambulatory.systolic : home ? home.systolic : null;
+
+  return {
+    officeReadings,
+    office,
+    home,
+    ambulatory,
+    classifications,
+    classification,
+    pattern,
+    systolicBP: modelSystolicBP,
+    systolicBPSource: modelSource ? CONTEXT_LABELS[modelSource] : null,
+    systolicVariability: systolicVariability(officeReadings)
+  };
+}
+
+/**
+ * Validate BP measurements
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateBloodPressureInputs(params) {
+  const errors = [];
+  const officeReadings = (params.officeReadings || []).filter(reading => reading.systolic || reading.diastolic);
+
+  if (!officeReadings.length && !params.homeAverage?.systolic && !params.ambulatoryAverage?.systolic) {
+    errors.push('At least one blood pressure reading is required');
+  }
+
+  const checkReading = (reading, label) => {
+    if (!reading.systolic || reading.systolic < 80 || reading.systolic > 250) {
+      errors.push(`${label}: systolic blood pressure must be between 80 and 250 mmHg`);
+    }
+    if (reading.diastolic && (reading.diastolic < 40 || reading.diastolic > 150)) {
+      errors.push(`${label}: diastolic blood pressure must be between 40 and 150 mmHg`);
+    } else if (reading.diastolic && reading.diastolic >= reading.systolic) {
+      errors.push(`${label}: diastolic must be lower than systolic blood pressure`);
+    }
+  };
+
+  officeReadings.forEach((reading, index) => checkReading(reading, `Office reading ${index + 1}`));
+  if (params.homeAverage?.systolic || params.homeAverage?.diastolic) checkReading(params.homeAverage, 'Home average');
+  if (params.ambulatoryAverage?.systolic || params.ambulatoryAverage?.diastolic) {
+    checkReading(params.ambulatoryAverage, 'Ambulatory average');
+  }
+
+  return errors;
+}
@@ -0,0 +1,97 @@
+// Coronary Artery Calcium (CAC) Assessment
+// Classifies the Agatston CAC score and gives the guideline advice for each category.
+// The risk is not recalculated: without a published likelihood ratio table for these
+// categories, CAC is reported as a risk modifier next to the SCORE2 family risk.
+// References: 2021 ESC Guidelines on cardiovascular disease prevention (CAC as a risk modifier)
+// Grundy SM, et al. 2018 AHA/ACC Guideline on the Management of Blood Cholesterol.
+// Circulation. 2019;139(25):e1082-e1143
+
+// Agatston score categories with the treatment advice they support
+const CAC_CATEGORIES = [
+  {
+    category: 'zero',
+    label: 'CAC 0',
+    upTo: 0,
+    favoursTreatment: false,
+    guidance: 'No coronary calcium: near a treatment threshold, statin therapy can be deferred if there are no other risk-enhancing factors (not for smokers, diabetes or a family history of premature CHD). Repeat the scan in 5-10 years.'
+  },
+  {
+    category: 'mild',
+    label: 'CAC 1-99',
+    upTo: 99,
+    favoursTreatment: true,
+    guidance: 'Mild coronary calcium favours statin therapy, especially from age 55.'
+  },
+  {
+    category: 'moderate',
+    label: 'CAC 100-399',
+    upTo: 399,
+    favoursTreatment: true,
+    guidance: 'Coronary calcium of 100 or more favours preventive treatment, including a statin.'
+  },
+  {
+    category: 'severe',
+    label: 'CAC ≥400',
+    upTo: Infinity,
+    favoursTreatment: true,
+    guidance: 'Extensive coronary calcium: preventive treatment, including a statin, is recommended.'
+  }
+];
+
+// A score at or above the 75th percentile for age, sex and ethnicity favours treatment even below 100
+const HIGH_PERCENTILE = 75;
+
+/**
+ * Classify an Agatston score
+ * @param {number} score - Agatston score
+ * @param {number|null} percentile - Percentile for age, sex and ethnicity (optional)
+ * @returns {Object} { category, label, favoursTreatment, guidance, highPercentile }
+ */
+export function classifyCalciumScore(score, percentile) {
+  const { category, label, favoursTreatment, guidance } = CAC_CATEGORIES.find(entry => score <= entry.upTo);
+  const highPercentile = score > 0 && percentile !== null && percentile >= HIGH_PERCENTILE;
+
+  return {
+    category,
+    label: highPercentile ? `${label}, ≥${HIGH_PERCENTILE}th percentile` : label,
+    favoursTreatment,
+    guidance: highPercentile && category === 'mild' ?
+      `At or above the ${HIGH_PERCENTILE}th percentile for age, sex and ethnicity, coronary calcium favours preventive treatment, including a statin.` :
+      guidance,
+    highPercentile
+  };
+}
+
+/**
+ * Assess the optional CAC score
+ * @param {Object} cac - { score, percentile }
+ * @returns {Object|null} { score, percentile, category, label, favoursTreatment, guidance, highPercentile }
+ *   or null without a CAC score
+ */
+export function assessCalciumScore(cac) {
+  if (!cac || cac.score === null) return null;
+
+  return { ...cac, ...classifyCalciumScore(cac.score, cac.percentile) };
+}
+
+/**
+ * Validate the optional CAC inputs
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateCalciumScoreInputs(params) {
+  const errors = [];
+
+  if (params.cacScore !== null && (params.cacScore < 0 || params.cacScore > 10000)) {
+    errors.push('CAC score must be between 0 and 10000 Agatston units');
+  }
+
+  if (params.cacPercentile !== null) {
+    if (params.cacScore === null) {
+      errors.push('Enter the CAC score to use its percentile');
+    } else if (params.cacPercentile < 0 || params.cacPercentile > 100) {
+      errors.push('CAC percentile must be between 0 and 100');
+    }
+  }
+
+  return errors;
+}
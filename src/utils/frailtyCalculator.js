@@ -0,0 +1,153 @@
+// Frailty and Life Expectancy Context for SCORE2-OP
+// Estimates remaining life expectancy from age, sex, Clinical Frailty Scale and major
+// comorbidities, and compares it with the time to benefit of preventive treatment
+// References: Rockwood K, et al. A global clinical measure of fitness and frailty in elderly
+// people. CMAJ. 2005;173(5):489-495
+// Yourman LC, et al. Evaluation of time to benefit of statins for the primary prevention of
+// cardiovascular events in adults aged 50 to 75 years. JAMA Intern Med. 2021;181(2):179-185
+// 2021 ESC Guidelines on cardiovascular disease prevention (treatment in older persons)
+
+// Clinical Frailty Scale (version 2.0)
+export const CLINICAL_FRAILTY_SCALE = {
+  1: 'Very fit',
+  2: 'Fit',
+  3: 'Managing well',
+  4: 'Living with very mild frailty',
+  5: 'Living with mild frailty',
+  6: 'Living with moderate frailty',
+  7: 'Living with severe frailty',
+  8: 'Living with very severe frailty',
+  9: 'Terminally ill'
+};
+
+// Major life-limiting comorbidities with approximate all-cause mortality hazard ratios
+export const COMORBIDITIES = {
+  heartFailure: { label: 'Heart failure', hazardRatio: 2.0 },
+  copd: { label: 'COPD', hazardRatio: 1.8 },
+  activeCancer: { label: 'Active cancer', hazardRatio: 2.5 },
+  dementia: { label: 'Dementia', hazardRatio: 2.0 }
+};
+
+// Remaining life expectancy (years) by age, approximating EU-27 life tables
+const LIFE_EXPECTANCY = [
+  { age: 70, male: 14.6, female: 17.4 },
+  { age: 75, male: 11.2, female: 13.4 },
+  { age: 80, male: 8.2, female: 9.8 },
+  { age: 85, male: 5.8, female: 6.8 },
+  { age: 90, male: 4.0, female: 4.6 },
+  { age: 95, male: 2.8, female: 3.1 },
+  { age: 100, male: 2.1, female: 2.3 }
+];
+
+// All-cause mortality rises ~9% per year of age (Gompertz slope), so a hazard ratio HR
+// ages a person by ln(HR) / 0.09 years
+const GOMPERTZ_SLOPE = 0.09;
+
+// Mortality hazard ratio per Clinical Frailty Scale step above 3 (managing well)
+const CFS_HAZARD_RATIO_PER_STEP = 1.3;
+
+// CFS 9 is defined by a life expectancy under 6 months
+const TERMINAL_LIFE_EXPECTANCY = 0.5;
+
+// Statins: ~2.5 years to prevent one cardiovascular event per 100 treated
+export const TIME_TO_BENEFIT_YEARS = 2.5;
+
+const GUIDANCE = {
+  likely: {
+    label: 'Benefit likely',
+    tone: 'green',
+    summary: 'Preventive treatment is likely to pay off within the remaining life expectancy; decide on it by the SCORE2-OP risk as for younger patients.'
+  },
+  uncertain: {
+    label: 'Benefit uncertain',
+    tone: 'yellow',
+    summary: 'Benefit within the remaining life expectancy is uncertain; share the decision, weighing pill burden, interactions and the patient\'s priorities.'
+  },
+  unlikely: {
+    label: 'Benefit unlikely',
+    tone: 'red',
+    summary: 'Preventive treatment is unlikely to pay off within the remaining life expectancy; focus on quality of life and consider not starting or deprescribing.'
+  }
+};
+
+/**
+ * Remaining life expectancy for the average person of this age and sex, interpolated
+ */
+function populationLifeExpectancy(age, sex) {
+  const rows = LIFE_EXPECTANCY;
+  if (age <= rows[0].age) return rows[0][sex];
+  if (age >= rows[rows.length - 1].age) return rows[rows.length - 1][sex];
+
+  const upperIndex = rows.findIndex(row => age <= row.age);
+  const lower = rows[upperIndex - 1];
+  const upper = rows[upperIndex];
+  const fraction = (age - lower.age) / (upper.age - lower.age);
+
+  return lower[sex] + fraction * (upper[sex] - lower[sex]);
+}
+
+/**
+ * Summarise the major comorbidities present
+ * @param {Object} comorbidities - { [comorbidity]: boolean }
+ * @returns {Object} { present: [{ comorbidity, label, hazardRatio }], count, summary }
+ */
+export function summarizeComorbidities(comorbidities = {}) {
+  const present = Object.keys(COMORBIDITIES)
+    .filter(comorbidity => comorbidities[comorbidity])
+    .map(comorbidity => ({ comorbidity, ...COMORBIDITIES[comorbidity] }));
+
+  return {
+    present,
+    count: present.length,
+    summary: present.length ?
+      `${present.length} major comorbidit${present.length === 1 ? 'y' : 'ies'}: ${present.map(entry => entry.label).join(', ')}` :
+      'No major life-limiting comorbidities'
+  };
+}
+
+/**
+ * Assess frailty, life expectancy and the expected payoff of preventive treatment
+ * @param {Object} params - Patient parameters (age, sex, clinicalFrailtyScale, comorbidities)
+ * @returns {Object} { clinicalFrailtyScale, frailtyLabel, comorbidities, lifeExpectancy,
+ *   populationLifeExpectancy, timeToBenefit, benefit, label, tone, summary, recommendations }
+ */
+export function assessFrailty(params) {
+  const cfs = params.clinicalFrailtyScale;
+  const comorbidities = summarizeComorbidities(params.comorbidities);
+
+  const hazardRatio = Math.pow(CFS_HAZARD_RATIO_PER_STEP, cfs ? Math.max(0, cfs - 3) : 0) *
+    comorbidities.present.reduce((product, entry) => product * entry.hazardRatio, 1);
+  const effectiveAge = params.age + Math.log(hazardRatio) / GOMPERTZ_SLOPE;
+  const lifeExpectancy = cfs === 9 ? TERMINAL_LIFE_EXPECTANCY : populationLifeExpectancy(effectiveAge, params.sex);
+
+  let benefit = 'likely';
+  if (lifeExpectancy < TIME_TO_BENEFIT_YEARS || cfs >= 7) {
+    benefit = 'unlikely';
+  } else if (lifeExpectancy < 2 * TIME_TO_BENEFIT_YEARS || cfs >= 5) {
+    benefit = 'uncertain';
+  }
+
+  const recommendations = {
+    likely: ['Remaining life expectancy exceeds the time to benefit of statins: frailty is not a reason to withhold preventive treatment'],
+    uncertain: [
+      'Discuss the expected benefit of statins and blood pressure treatment against pill burden and side effects',
+      'Review preventive medication at each visit as frailty and comorbidities change'
+    ],
+    unlikely: [
+      'Prioritise symptom control and quality of life over long-term cardiovascular prevention',
+      'Consider not starting, or deprescribing, preventive medication that is unlikely to pay off'
+    ]
+  }[benefit];
+
+  return {
+    clinicalFrailtyScale: cfs,
+    frailtyLabel: cfs ? CLINICAL_FRAILTY_SCALE[cfs] : null,
+    comorbidities,
+    lifeExpectancy: Math.round(lifeExpectancy * 10) / 10,
+    populationLifeExpectancy: Math.round(populationLifeExpectancy(params.age, params.sex) * 10) / 10,
+    timeToBenefit: TIME_TO_BENEFIT_YEARS,
+    benefit,
+    ...GUIDANCE[benefit],
+    recommendations
+  };
+}
@@ -0,0 +1,150 @@
+// Kidney Function Assessment
+// eGFR from serum creatinine (race-free CKD-EPI 2021) and KDIGO G/A staging
+// References: Inker LA, et al. New creatinine- and cystatin C-based equations to estimate GFR
+// without race. N Engl J Med. 2021;385(19):1737-1749
+// KDIGO 2024 Clinical Practice Guideline for the Evaluation and Management of CKD
+
+// Unit conversions to the units used by the equations
+const CREATININE_UMOL_PER_MG = 88.4;
+const ACR_MG_G_PER_MG_MMOL = 8.84;
+
+// CKD-EPI 2021 sex-specific constants
+const CKD_EPI_2021 = {
+  female: { kappa: 0.7, alpha: -0.241, factor: 1.012 },
+  male: { kappa: 0.9, alpha: -0.302, factor: 1 }
+};
+
+// KDIGO GFR categories (mL/min/1.73m²), checked from the top
+const GFR_STAGES = [
+  { stage: 'G1', label: 'Normal or high', from: 90 },
+  { stage: 'G2', label: 'Mildly decreased', from: 60 },
+  { stage: 'G3a', label: 'Mildly to moderately decreased', from: 45 },
+  { stage: 'G3b', label: 'Moderately to severely decreased', from: 30 },
+  { stage: 'G4', label: 'Severely decreased', from: 15 },
+  { stage: 'G5', label: 'Kidney failure', from: -Infinity }
+];
+
+// KDIGO albuminuria categories (ACR in mg/g)
+const ALBUMINURIA_STAGES = [
+  { stage: 'A1', label: 'Normal to mildly increased', upTo: 30 },
+  { stage: 'A2', label: 'Moderately increased', upTo: 300 },
+  { stage: 'A3', label: 'Severely increased', upTo: Infinity }
+];
+
+// KDIGO prognosis heat map: risk level by GFR row and albuminuria column
+const KDIGO_RISK_LEVELS = {
+  G1: ['low', 'moderate', 'high'],
+  G2: ['low', 'moderate', 'high'],
+  G3a: ['moderate', 'high', 'very-high'],
+  G3b: ['high', 'very-high', 'very-high'],
+  G4: ['very-high', 'very-high', 'very-high'],
+  G5: ['very-high', 'very-high', 'very-high']
+};
+
+const KDIGO_RISK_LABELS = {
+  'low': { label: 'Low risk (if no other markers of kidney disease, no CKD)', tone: 'green' },
+  'moderate': { label: 'Moderately increased risk', tone: 'yellow' },
+  'high': { label: 'High risk', tone: 'orange' },
+  'very-high': { label: 'Very high risk', tone: 'red' }
+};
+
+/**
+ * Convert serum creatinine to mg/dL
+ */
+export function creatinineToMgDl(value, unit) {
+  return unit === 'µmol/L' ? value / CREATININE_UMOL_PER_MG : value;
+}
+
+/**
+ * Convert urine albumin-to-creatinine ratio to mg/g
+ */
+export function acrToMgG(value, unit) {
+  return unit === 'mg/mmol' ? value * ACR_MG_G_PER_MG_MMOL : value;
+}
+
+/**
+ * Estimate GFR with the race-free CKD-EPI 2021 creatinine equation
+ * @param {number} creatinine - Serum creatinine
+ * @param {string} unit - 'µmol/L' or 'mg/dL'
+ * @param {number} age - Age in years
+ * @param {string} sex - 'male' or 'female'
+ * @returns {number} eGFR in mL/min/1.73m² (rounded)
+ */
+export function calculateEgfrCkdEpi2021(creatinine, unit, age, sex) {
+  const { kappa, alpha, factor } = CKD_EPI_2021[sex];
+  const ratio = creatinineToMgDl(creatinine, unit) / kappa;
+
+  const egfr = 142 *
+    Math.pow(Math.min(ratio, 1), alpha) *
+    Math.pow(Math.max(ratio, 1), -1.200) *
+    Math.pow(0.9938, age) *
+    factor;
+
+  return Math.round(egfr);
+}
+
+/**
+ * Classify kidney function by KDIGO GFR and albuminuria categories
+ * @param {number} egfr - eGFR in mL/min/1.73m²
+ * @param {number|null} acrMgG - ACR in mg/g (optional)
+ * @returns {Object} { gfrStage, albuminuriaStage, risk, label, tone, hasCkd }
+ */
+export function classifyKdigo(egfr, acrMgG) {
+  const gfrStage = GFR_STAGES.find(stage => egfr >= stage.from);
+  const albuminuriaIndex = acrMgG === null ? null : ALBUMINURIA_STAGES.findIndex(stage => acrMgG < stage.upTo);
+  const albuminuriaStage = albuminuriaIndex === null ? null : ALBUMINURIA_STAGES[albuminuriaIndex];
+
+  // Without an ACR the heat map is read in the A1 column
+  const risk = KDIGO_RISK_LEVELS[gfrStage.stage][albuminuriaIndex ?? 0];
+
+  return {
+    gfrStage: { stage: gfrStage.stage, label: gfrStage.label },
+    albuminuriaStage: albuminuriaStage && { stage: albuminuriaStage.stage, label: albuminuriaStage.label },
+    risk,
+    ...KDIGO_RISK_LABELS[risk],
+    hasCkd: egfr < 60 || (acrMgG !== null && acrMgG >= 30)
+  };
+}
+
+/**
+ * Assess kidney function from the optional creatinine, eGFR and ACR inputs
+ * @param {Object} params - Patient parameters (creatinine, creatinineUnit, egfr, acr, acrUnit, age, sex)
+ * @returns {Object|null} { egfr, egfrSource, acr, kdigo } or null without creatinine or eGFR
+ */
+export function assessKidneyFunction(params) {
+  const egfr = params.creatinine ?
+    calculateEgfrCkdEpi2021(params.creatinine, params.creatinineUnit, params.age, params.sex) : params.egfr;
+
+  if (!egfr) return null;
+
+  const acrMgG = params.acr ? acrToMgG(params.acr, params.acrUnit) : null;
+
+  return {
+    egfr,
+    egfrSource: params.creatinine ? 'CKD-EPI 2021' : 'entered',
+    creatinine: params.creatinine ? { value: params.creatinine, unit: params.creatinineUnit } : null,
+    acr: params.acr ? { value: params.acr, unit: params.acrUnit, mgPerG: Math.round(acrMgG) } : null,
+    kdigo: classifyKdigo(egfr, acrMgG)
+  };
+}
+
+/**
+ * Validate the optional kidney function inputs
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateKidneyInputs(params) {
+  const errors = [];
+
+  if (params.creatinine !== null && params.creatinine !== undefined) {
+    const mgDl = creatinineToMgDl(params.creatinine, params.creatinineUnit);
+    if (mgDl < 0.2 || mgDl > 15) {
+      errors.push('Serum creatinine must be between 0.2 and 15 mg/dL (18-1330 µmol/L)');
+    }
+  }
+
+  if (params.acr !== null && params.acr !== undefined && params.acr < 0) {
+    errors.push('Albumin-to-creatinine ratio cannot be negative');
+  }
+
+  return errors;
+}
@@ -0,0 +1,97 @@
+// LDL-C Goal Calculator
+// Maps the ESC risk category to an LDL-C goal and estimates the lipid-lowering
+// therapy typically needed to reach it.
+// Reference: 2019 ESC/EAS Guidelines for the management of dyslipidaemias
+
+// LDL-C goals by ESC risk category, with the ≥50% reduction requirement for high/very high risk
+const LDL_GOALS = {
+  'low-to-moderate': { 'mmol/L': 2.6, 'mg/dL': 100, minimumReduction: 0 },
+  'high': { 'mmol/L': 1.8, 'mg/dL': 70, minimumReduction: 50 },
+  'very-high': { 'mmol/L': 1.4, 'mg/dL': 55, minimumReduction: 50 }
+};
+
+// Therapy steps in escalation order with their typical LDL-C reduction (%) from untreated LDL-C
+const THERAPY_STEPS = [
+  { id: 'moderate-statin', label: 'Moderate-intensity statin', expectedReduction: 30 },
+  { id: 'high-statin', label: 'High-intensity statin', expectedReduction: 50 },
+  { id: 'high-statin-ezetimibe', label: 'High-intensity statin + ezetimibe', expectedReduction: 65 },
+  { id: 'high-statin-ezetimibe-pcsk9', label: 'High-intensity statin + ezetimibe + PCSK9 inhibitor', expectedReduction: 85 }
+];
+
+/**
+ * Calculate the LDL-C goal and the reduction needed to reach it
+ * For patients on lipid-lowering treatment, the ≥50% reduction is taken from the estimated
+ * untreated LDL-C, and the therapy steps start after the current treatment
+ * @param {string} riskCategory - ESC risk category from categorizeRisk
+ * @param {number} currentLdl - Current LDL-C in the given unit
+ * @param {string} unit - 'mmol/L' or 'mg/dL'
+ * @param {Object} treated - Current treatment (optional)
+ * @param {number} treated.baselineLdl - Estimated untreated LDL-C (see estimateUntreatedValues)
+ * @param {Object} treated.lipidLowering - Result of summarizeLipidLowering
+ * @returns {Object} Goal, target, required reduction and therapy steps
+ */
+export function calculateLdlGoal(riskCategory, currentLdl, unit, treated = {}) {
+  const goal = LDL_GOALS[riskCategory] || LDL_GOALS['low-to-moderate'];
+  const goalValue = goal[unit];
+  const decimals = unit === 'mg/dL' ? 0 : 1;
+  const round = (value) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+  const lipidLowering = treated.lipidLowering || null;
+  const baselineLdl = lipidLowering && treated.baselineLdl ? treated.baselineLdl : currentLdl;
+  const currentReduction = lipidLowering ? lipidLowering.ldlReduction : 0;
+
+  // The target is the lower of the absolute goal and the required relative reduction from baseline
+  const target = Math.min(goalValue, baselineLdl * (1 - goal.minimumReduction / 100));
+  const requiredReduction = Math.max(0, (currentLdl - target) / currentLdl * 100);
+
+  // Only steps stronger than the current treatment; projections are from the untreated LDL-C
+  const therapySteps = THERAPY_STEPS.filter(step => step.expectedReduction > currentReduction).map(step => {
+    const projectedLdl = baselineLdl * (1 - step.expectedReduction / 100);
+    return {
+      ...step,
+      projectedLdl: round(projectedLdl),
+      reachesGoal: projectedLdl <= target
+    };
+  });
+
+  const atGoal = requiredReduction === 0;
+  const suggestedStep = atGoal ? null : therapySteps.find(step => step.reachesGoal) || null;
+
+  return {
+    riskCategory,
+    unit,
+    currentLdl,
+    baselineLdl: lipidLowering ? round(baselineLdl) : null,
+    currentTreatment: lipidLowering ? lipidLowering.summary : null,
+    goal: goalValue,
+    minimumReduction: goal.minimumReduction,
+    target: round(target),
+    requiredReduction: Math.round(requiredReduction),
+    atGoal,
+    therapySteps,
+    suggestedStep,
+    summary: generateLdlGoalSummary(goalValue, goal.minimumReduction, unit, atGoal, suggestedStep, requiredReduction, lipidLowering)
+  };
+}
+
+/**
+ * Plain-language summary of the LDL-C goal
+ */
+function generateLdlGoalSummary(goalValue, minimumReduction, unit, atGoal, suggestedStep, requiredReduction, lipidLowering) {
+  const baselineText = lipidLowering ? 'the estimated untreated LDL-C' : 'baseline';
+  const goalText = minimumReduction > 0 ?
+    `LDL-C goal <${goalValue} ${unit} and a reduction of at least ${minimumReduction}% from ${baselineText}` :
+    `LDL-C goal <${goalValue} ${unit}`;
+
+  if (atGoal) {
+    return `${goalText}: current LDL-C is already at goal.`;
+  }
+
+  const furtherText = lipidLowering ? `a further reduction of ${Math.round(requiredReduction)}% on ${lipidLowering.summary}` :
+    `a reduction of ${Math.round(requiredReduction)}%`;
+
+  if (!suggestedStep) {
+    return `${goalText}: ${furtherText} is needed, beyond what standard combination therapy typically achieves.`;
+  }
+
+  return `${goalText}: ${furtherText} is needed, typically achievable with ${suggestedStep.label.charAt(0).toLowerCase() + suggestedStep.label.slice(1)}.`;
+}
@@ -0,0 +1,234 @@
+// Lipid Panel Calculator
+// Unit conversion and LDL-C estimation (Friedewald, Martin-Hopkins, Sampson/NIH)
+// References:
+// Friedewald WT, et al. Clin Chem. 1972;18(6):499-502
+// Martin SS, et al. JAMA. 2013;310(19):2061-2068
+// Sampson M, et al. JAMA Cardiol. 2020;5(5):540-548
+
+// mg/dL per mmol/L for each analyte (cholesterol fractions share one factor)
+const MG_DL_PER_MMOL_L = {
+  cholesterol: 38.67,
+  triglycerides: 88.57
+};
+
+// ApoB is reported in g/L alongside mmol/L panels and in mg/dL otherwise
+const APOB_MG_DL_PER_G_L = 100;
+
+// Triglyceride limits (mg/dL) above which an estimate is unreliable
+const FRIEDEWALD_MAX_TRIGLYCERIDES = 400;
+const MARTIN_HOPKINS_MAX_TRIGLYCERIDES = 400;
+const SAMPSON_MAX_TRIGLYCERIDES = 800;
+
+// Below this LDL-C (mg/dL) Friedewald tends to underestimate
+const FRIEDEWALD_LOW_LDL = 70;
+
+// Display names for LDL-C methods
+export const LDL_METHOD_LABELS = {
+  measured: 'Measured',
+  friedewald: 'Friedewald',
+  martinHopkins: 'Martin-Hopkins',
+  sampson: 'Sampson (NIH)'
+};
+
+// Martin-Hopkins 180-cell table of TG:VLDL-C factors
+// Rows: triglyceride strata (upper bound, mg/dL); columns: non-HDL-C strata
+const MARTIN_HOPKINS_NON_HDL_UPPER_BOUNDS = [100, 130, 160, 190, 220, Infinity];
+const MARTIN_HOPKINS_FACTORS = [
+  [49, [3.5, 3.4, 3.3, 3.3, 3.2, 3.1]],
+  [56, [4.0, 3.9, 3.7, 3.6, 3.6, 3.4]],
+  [61, [4.3, 4.1, 4.0, 3.9, 3.8, 3.6]],
+  [66, [4.5, 4.3, 4.1, 4.0, 3.9, 3.9]],
+  [71, [4.7, 4.4, 4.3, 4.2, 4.1, 3.9]],
+  [75, [4.8, 4.6, 4.4, 4.2, 4.2, 4.1]],
+  [79, [4.9, 4.6, 4.5, 4.3, 4.3, 4.2]],
+  [83, [5.0, 4.8, 4.6, 4.4, 4.3, 4.2]],
+  [87, [5.1, 4.8, 4.6, 4.5, 4.4, 4.3]],
+  [92, [5.2, 4.9, 4.7, 4.6, 4.4, 4.3]],
+  [96, [5.3, 5.0, 4.8, 4.7, 4.5, 4.4]],
+  [100, [5.4, 5.1, 4.8, 4.7, 4.5, 4.3]],
+  [105, [5.5, 5.2, 5.0, 4.7, 4.6, 4.5]],
+  [110, [5.6, 5.3, 5.0, 4.8, 4.6, 4.5]],
+  [115, [5.7, 5.4, 5.1, 4.9, 4.7, 4.5]],
+  [120, [5.8, 5.5, 5.2, 5.0, 4.8, 4.6]],
+  [126, [6.0, 5.5, 5.3, 5.0, 4.8, 4.6]],
+  [132, [6.1, 5.7, 5.3, 5.1, 4.9, 4.7]],
+  [138, [6.2, 5.8, 5.4, 5.2, 5.0, 4.7]],
+  [146, [6.3, 5.9, 5.6, 5.3, 5.0, 4.8]],
+  [154, [6.5, 6.0, 5.7, 5.4, 5.1, 4.8]],
+  [163, [6.7, 6.2, 5.8, 5.4, 5.2, 4.9]],
+  [173, [6.8, 6.3, 5.9, 5.5, 5.3, 5.0]],
+  [185, [7.0, 6.5, 6.0, 5.7, 5.4, 5.1]],
+  [201, [7.3, 6.7, 6.2, 5.8, 5.5, 5.2]],
+  [220, [7.6, 6.9, 6.4, 6.0, 5.6, 5.3]],
+  [247, [8.0, 7.2, 6.6, 6.2, 5.9, 5.4]],
+  [292, [8.5, 7.6, 7.0, 6.5, 6.1, 5.6]],
+  [399, [9.5, 8.3, 7.5, 7.0, 6.5, 5.9]],
+  [Infinity, [11.9, 10.0, 8.8, 8.1, 7.5, 6.7]]
+];
+
+/**
+ * Convert a lipid value between mmol/L and mg/dL
+ * @param {number} value - Value to convert
+ * @param {string} analyte - 'cholesterol' (total, HDL, LDL, non-HDL) or 'triglycerides'
+ * @param {string} fromUnit - 'mmol/L' or 'mg/dL'
+ * @param {string} toUnit - 'mmol/L' or 'mg/dL'
+ * @returns {number} Converted value
+ */
+export function convertLipid(value, analyte, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return value;
+
+  const factor = MG_DL_PER_MMOL_L[analyte];
+  if (!factor) {
+    throw new Error(`Unknown lipid analyte: ${analyte}`);
+  }
+
+  return fromUnit === 'mg/dL' ? value / factor : value * factor;
+}
+
+/**
+ * ApoB unit paired with a lipid panel unit
+ */
+export function apoBUnit(cholesterolUnit) {
+  return cholesterolUnit === 'mg/dL' ? 'mg/dL' : 'g/L';
+}
+
+/**
+ * Convert an ApoB value between g/L and mg/dL
+ */
+export function convertApoB(value, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return value;
+  return fromUnit === 'g/L' ? value * APOB_MG_DL_PER_G_L : value / APOB_MG_DL_PER_G_L;
+}
+
+/**
+ * Friedewald: LDL-C = TC - HDL-C - TG / 5 (mg/dL)
+ */
+function friedewaldLDL(totalChol, hdlChol, triglycerides) {
+  return totalChol - hdlChol - triglycerides / 5;
+}
+
+/**
+ * Martin-Hopkins: LDL-C = TC - HDL-C - TG / factor, factor from the 180-cell table (mg/dL)
+ */
+function martinHopkinsLDL(totalChol, hdlChol, triglycerides) {
+  const nonHdl = totalChol - hdlChol;
+  const [, factors] = MARTIN_HOPKINS_FACTORS.find(([maxTriglycerides]) => triglycerides < maxTriglycerides + 1);
+  const column = MARTIN_HOPKINS_NON_HDL_UPPER_BOUNDS.findIndex(upperBound => nonHdl < upperBound);
+
+  return totalChol - hdlChol - triglycerides / factors[column];
+}
+
+/**
+ * Sampson (NIH equation 2), all values in mg/dL:
+ * LDL-C = TC/0.948 - HDL-C/0.971 - (TG/8.56 + TG × non-HDL-C/2140 - TG²/16100) - 9.44
+ */
+function sampsonLDL(totalChol, hdlChol, triglycerides) {
+  const nonHdl = totalChol - hdlChol;
+
+  return totalChol / 0.948 - hdlChol / 0.971 -
+    (triglycerides / 8.56 + triglycerides * nonHdl / 2140 - triglycerides * triglycerides / 16100) - 9.44;
+}
+
+/**
+ * Build a lipid profile with LDL-C estimates
+ * @param {Object} params - Lipid panel
+ * @param {number} params.totalCholesterol - Total cholesterol
+ * @param {number} params.hdlCholesterol - HDL cholesterol
+ * @param {number} params.triglycerides - Triglycerides (optional, needed for LDL-C estimation)
+ * @param {number} params.ldlCholesterol - Measured LDL cholesterol (optional)
+ * @param {number} params.apoB - Apolipoprotein B (optional, g/L or mg/dL, see apoBUnit)
+ * @param {string} params.cholesterolUnit - 'mmol/L' or 'mg/dL', applies to all analytes
+ * @returns {Object} Lipid profile in the input unit, with LDL-C estimates and warnings
+ */
+export function calculateLipidProfile(params) {
+  const unit = params.cholesterolUnit;
+  const toMgDl = (value, analyte) => convertLipid(value, analyte, unit, 'mg/dL');
+  const fromMgDl = (value, analyte) => {
+    const converted = convertLipid(value, analyte, 'mg/dL', unit);
+    return unit === 'mg/dL' ? Math.round(converted) : Math.round(converted * 100) / 100;
+  };
+
+  const totalChol = toMgDl(params.totalCholesterol, 'cholesterol');
+  const hdlChol = toMgDl(params.hdlCholesterol, 'cholesterol');
+  const triglycerides = params.triglycerides ? toMgDl(params.triglycerides, 'triglycerides') : null;
+  const warnings = [];
+
+  const ldlEstimates = {
+    measured: params.ldlCholesterol || null,
+    friedewald: null,
+    martinHopkins: null,
+    sampson: null
+  };
+
+  if (triglycerides) {
+    if (triglycerides < FRIEDEWALD_MAX_TRIGLYCERIDES) {
+      const friedewald = friedewaldLDL(totalChol, hdlChol, triglycerides);
+      ldlEstimates.friedewald = fromMgDl(friedewald, 'cholesterol');
+
+      if (friedewald < FRIEDEWALD_LOW_LDL) {
+        warnings.push('Friedewald tends to underestimate LDL-C below 1.8 mmol/L (70 mg/dL); prefer Martin-Hopkins or Sampson');
+      }
+    } else {
+      warnings.push('Friedewald is not valid with triglycerides ≥4.5 mmol/L (400 mg/dL)');
+    }
+
+    ldlEstimates.martinHopkins = fromMgDl(martinHopkinsLDL(totalChol, hdlChol, triglycerides), 'cholesterol');
+    if (triglycerides >= MARTIN_HOPKINS_MAX_TRIGLYCERIDES) {
+      warnings.push('Martin-Hopkins is less accurate with triglycerides ≥4.5 mmol/L (400 mg/dL)');
+    }
+
+    if (triglycerides <= SAMPSON_MAX_TRIGLYCERIDES) {
+      ldlEstimates.sampson = fromMgDl(sampsonLDL(totalChol, hdlChol, triglycerides), 'cholesterol');
+    } else {
+      warnings.push('Sampson is not valid with triglycerides >9.0 mmol/L (800 mg/dL); measure LDL-C directly');
+    }
+  } else if (!ldlEstimates.measured) {
+    warnings.push('Enter triglycerides to estimate LDL-C');
+  }
+
+  // Preferred LDL-C: measured, then Martin-Hopkins, then Sampson at higher triglycerides
+  let preferredLdl = null;
+  if (ldlEstimates.measured) {
+    preferredLdl = { value: ldlEstimates.measured, method: 'measured' };
+  } else if (triglycerides && triglycerides < MARTIN_HOPKINS_MAX_TRIGLYCERIDES) {
+    preferredLdl = { value: ldlEstimates.martinHopkins, method: 'martinHopkins' };
+  } else if (ldlEstimates.sampson !== null) {
+    preferredLdl = { value: ldlEstimates.sampson, method: 'sampson' };
+  }
+
+  return {
+    unit,
+    totalCholesterol: params.totalCholesterol,
+    hdlCholesterol: params.hdlCholesterol,
+    nonHdlCholesterol: fromMgDl(totalChol - hdlChol, 'cholesterol'),
+    triglycerides: params.triglycerides || null,
+    apoB: params.apoB ? { value: params.apoB, unit: apoBUnit(unit) } : null,
+    ldlEstimates,
+    preferredLdl,
+    warnings
+  };
+}
+
+/**
+ * Validate the optional lipid panel inputs
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateLipidInputs(params) {
+  const errors = [];
+  const isSet = (value) => value !== null && value !== undefined;
+
+  if (isSet(params.triglycerides) && params.triglycerides <= 0) {
+    errors.push('Triglycerides must be greater than 0');
+  }
+
+  if (isSet(params.ldlCholesterol) &&
+      (params.ldlCholesterol <= 0 || params.ldlCholesterol >= params.totalCholesterol)) {
+    errors.push('Measured LDL cholesterol must be greater than 0 and lower than total cholesterol');
+  }
+
+  if (isSet(params.apoB) && params.apoB <= 0) {
+    errors.push('ApoB must be greater than 0');
+  }
+
+  return errors;
+}
@@ -0,0 +1,57 @@
+// Lipoprotein(a) Assessment
+// Flags Lp(a) levels the ESC/EAS regard as risk-enhancing. The 10-year risk is not
+// multiplied: Lp(a) is reported as a risk modifier alongside the estimate.
+// References: 2019 ESC/EAS Guidelines for the management of dyslipidaemias
+// Kronenberg F, et al. Lipoprotein(a) in atherosclerotic cardiovascular disease and
+// aortic stenosis: a European Atherosclerosis Society consensus statement.
+// Eur Heart J. 2022;43(39):3925-3946
+//
+// nmol/L (particle number) and mg/dL (mass) do not convert reliably because apo(a) isoform
+// size varies, so the value is kept in the unit it was measured in and compared with the
+// threshold in that unit.
+
+export const LPA_UNITS = ['nmol/L', 'mg/dL'];
+
+// Risk-enhancing level (>50 mg/dL or >105 nmol/L) and the very high level (>180 mg/dL or
+// >430 nmol/L) with a lifetime risk similar to heterozygous familial hypercholesterolaemia
+const LPA_THRESHOLDS = {
+  elevated: { 'nmol/L': 105, 'mg/dL': 50 },
+  veryHigh: { 'nmol/L': 430, 'mg/dL': 180 }
+};
+
+/**
+ * Flag an elevated Lp(a) as a risk enhancer
+ * @param {Object} lpa - { value, unit }
+ * @returns {Object|null} { condition, label, level: 'elevated' | 'very-high' } or null without
+ *   Lp(a) or below the risk-enhancing level
+ */
+export function assessLpa(lpa) {
+  if (!lpa || !lpa.value || lpa.value <= LPA_THRESHOLDS.elevated[lpa.unit]) return null;
+
+  const veryHigh = lpa.value > LPA_THRESHOLDS.veryHigh[lpa.unit];
+
+  return {
+    condition: 'lpa',
+    label: veryHigh ?
+      `Lipoprotein(a) ${lpa.value} ${lpa.unit}: above ${LPA_THRESHOLDS.veryHigh[lpa.unit]} ${lpa.unit}, a lifetime risk similar to heterozygous familial hypercholesterolaemia` :
+      `Lipoprotein(a) ${lpa.value} ${lpa.unit}: above ${LPA_THRESHOLDS.elevated[lpa.unit]} ${lpa.unit}`,
+    level: veryHigh ? 'very-high' : 'elevated'
+  };
+}
+
+/**
+ * Validate the optional Lp(a) input
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateLpaInputs(params) {
+  const errors = [];
+
+  if (params.lpa !== null && params.lpa !== undefined) {
+    const max = params.lpaUnit === 'mg/dL' ? 500 : 1000;
+    if (params.lpa < 0 || params.lpa > max) {
+      errors.push(`Lp(a) must be between 0 and ${max} ${params.lpaUnit}`);
+    }
+  }
+
+  return errors;
+}
@@ -2,6 +2,10 @@
 // This is a simplified implementation - in a production environment,
 // you would use libraries like jsPDF or react-pdf
 
+import { formatHeartAge } from './score2Calculator.js';
+import { LDL_METHOD_LABELS } from './lipidCalculator.js';
+import { ANCESTRY_MULTIPLIERS } from './ancestryCalculator.js';
+
 export function generatePDFReport(formData, results) {
   // Create a comprehensive report object
   const report = {
@@ -11,42 +15,63 @@ export function generatePDFReport(formData, results) {
       age: formData.age,
       sex: formData.sex,
       region: formData.region,
-      smoking: formData.smoking,
-      systolicBP: formData.systolicBP,
+      ancestry: ANCESTRY_MULTIPLIERS[formData.ancestry]?.label || null,
+      smoking: results.smokingHistory?.summary ||
+        formData.smoking.charAt(0).toUpperCase() + formData.smoking.slice(1),
+      systolicBP: results.bloodPressure.systolicBP,
       totalCholesterol: formData.totalCholesterol,
       cholesterolUnit: formData.cholesterolUnit,
       hdlCholesterol: formData.hdlCholesterol || 'Not provided',
+      nonHdlCholesterol: `${results.nonHdlCholesterol.value} (${results.nonHdlCholesterol.source})`,
       diabetes: formData.diabetes || 'Not specified',
+      diabetesAgeAtDiagnosis: formData.diabetesAgeAtDiagnosis || 'Not provided',
+      hba1c: formData.hba1c ? `${formData.hba1c} ${formData.hba1cUnit}` : 'Not provided',
+      egfr: results.kidney ? `${results.kidney.egfr} (${results.kidney.egfrSource})` : 'Not provided',
       bmi: formData.bmi || 'Not provided'
     },
     results: {
       riskPercentage: results.riskPercentage,
       riskCategory: results.riskCategory,
-      heartAge: results.heartAge,
+      riskClassification: results.riskClassification,
+      heartAge: results.lifetimeOnly || results.scoreNotApplicable ? null : formatHeartAge(results),
+      riskByDefinition: results.riskByDefinition,
+      scoreNotApplicable: results.scoreNotApplicable,
+      lifetimeOnly: results.lifetimeOnly,
+      ageNote: results.ageNote,
+      riskFactors: results.riskFactors,
       algorithm: results.algorithm,
       interpretation: results.interpretation,
-      recommendations: results.recommendations
+      recommendations: results.recommendations,
+      lipidProfile: results.lipidProfile,
+      ldlGoal: results.ldlGoal,
+      kidney: results.kidney,
+      riskAdjustments: results.riskAdjustments || [],
+      riskEnhancers: results.riskEnhancers || [],
+      frailty: results.frailty,
+      treatmentEffect: results.treatmentEffect,
+      calciumScore: results.calciumScore,
+      bloodPressure: results.bloodPressure
     }
-  }
+  };
 
   // Generate HTML content for the report
-  const htmlContent = generateReportHTML(report)
+  const htmlContent = generateReportHTML(report);
   
   // Create a downloadable HTML file (simplified approach)
   // In production, you would use a proper PDF generation library
-  const blob = new Blob([htmlContent], { type: 'text/html' })
-  const url = URL.createObjectURL(blob)
+  const blob = new Blob([htmlContent], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
   
   // Create download link
-  const link = document.createElement('a')
-  link.href = url
-  link.download = `SCORE2_Risk_Report_${new Date().toISOString().split('T')[0]}.html`
-  document.body.appendChild(link)
-  link.click()
-  document.body.removeChild(link)
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `SCORE2_Risk_Report_${new Date().toISOString().split('T')[0]}.html`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
   
   // Clean up
-  URL.revokeObjectURL(url)
+  URL.revokeObjectURL(url);
 }
 
 function generateReportHTML(report) {
@@ -110,10 +135,10 @@ function generateReportHTML(report) {
             border-radius: 20px;
             display: inline-block;
         }
-        .risk-low { background: #dcfce7; color: #166534; }
-        .risk-moderate { background: #fef3c7; color: #92400e; }
-        .risk-high { background: #fed7aa; color: #c2410c; }
-        .risk-very-high { background: #fecaca; color: #dc2626; }
+        .risk-tone-green { background: #dcfce7; color: #166534; }
+        .risk-tone-yellow { background: #fef9c3; color: #a16207; }
+        .risk-tone-orange { background: #fed7aa; color: #c2410c; }
+        .risk-tone-red { background: #fecaca; color: #dc2626; }
         .patient-info {
             display: grid;
             grid-template-columns: 1fr 1fr;
@@ -167,19 +192,10 @@ function generateReportHTML(report) {
         <p>Algorithm: ${report.results.algorithm}</p>
     </div>
 
-    <div class="section">
-        <h2>Risk Assessment Results</h2>
-        <div class="risk-result">
-            <p class="risk-percentage">${report.results.riskPercentage}%</p>
-            <div class="risk-category risk-${report.results.riskCategory}">
-                ${report.results.riskCategory.charAt(0).toUpperCase() + report.results.riskCategory.slice(1)} Risk
-            </div>
-            <p style="margin-top: 15px; font-style: italic;">
-                ${report.results.interpretation}
-            </p>
-            <p><strong>Heart Age:</strong> ${report.results.heartAge} years</p>
-        </div>
-    </div>
+    ${report.results.riskByDefinition ? generateRiskByDefinitionSectionHTML(report.results) : ''}
+
+    ${report.results.scoreNotApplicable ? '' :
+      report.results.lifetimeOnly ? generateLifetimeOnlySectionHTML(report.results) : generateRiskSectionHTML(report.results)}
 
     <div class="section">
         <h2>Patient Information</h2>
@@ -196,9 +212,14 @@ function generateReportHTML(report) {
                 <span class="info-label">Risk Region:</span>
                 <span>${report.patientInfo.region.charAt(0).toUpperCase() + report.patientInfo.region.slice(1)}</span>
             </div>
+            ${report.patientInfo.ancestry ? `
+            <div class="info-item">
+                <span class="info-label">Ancestry:</span>
+                <span>${report.patientInfo.ancestry}</span>
+            </div>` : ''}
             <div class="info-item">
                 <span class="info-label">Smoking Status:</span>
-                <span>${report.patientInfo.smoking.charAt(0).toUpperCase() + report.patientInfo.smoking.slice(1)}</span>
+                <span>${report.patientInfo.smoking}</span>
             </div>
             <div class="info-item">
                 <span class="info-label">Systolic BP:</span>
@@ -212,10 +233,27 @@ function generateReportHTML(report) {
                 <span class="info-label">HDL Cholesterol:</span>
                 <span>${report.patientInfo.hdlCholesterol} ${report.patientInfo.cholesterolUnit}</span>
             </div>
+            <div class="info-item">
+                <span class="info-label">Non-HDL Cholesterol:</span>
+                <span>${report.patientInfo.nonHdlCholesterol} ${report.patientInfo.cholesterolUnit}</span>
+            </div>
             <div class="info-item">
                 <span class="info-label">Diabetes:</span>
                 <span>${report.patientInfo.diabetes}</span>
             </div>
+            ${report.patientInfo.diabetes === 'yes' ? `
+            <div class="info-item">
+                <span class="info-label">Age at Diabetes Diagnosis:</span>
+                <span>${report.patientInfo.diabetesAgeAtDiagnosis} years</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">HbA1c:</span>
+                <span>${report.patientInfo.hba1c}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">eGFR:</span>
+                <span>${report.patientInfo.egfr} mL/min/1.73m²</span>
+            </div>` : ''}
             <div class="info-item">
                 <span class="info-label">BMI:</span>
                 <span>${report.patientInfo.bmi} kg/m²</span>
@@ -223,6 +261,22 @@ function generateReportHTML(report) {
         </div>
     </div>
 
+    ${report.results.riskEnhancers.length ? generateRiskEnhancersSectionHTML(report.results.riskEnhancers) : ''}
+
+    ${report.results.frailty ? generateFrailtySectionHTML(report.results.frailty) : ''}
+
+    ${report.results.treatmentEffect ? generateTreatmentSectionHTML(report.results.treatmentEffect) : ''}
+
+    ${generateBloodPressureSectionHTML(report.results.bloodPressure)}
+
+    ${report.results.kidney ? generateKidneySectionHTML(report.results.kidney) : ''}
+
+    ${report.results.calciumScore ? generateCalciumScoreSectionHTML(report.results.calciumScore) : ''}
+
+    ${report.results.lipidProfile ? generateLipidSectionHTML(report.results.lipidProfile) : ''}
+
+    ${report.results.ldlGoal ? generateLdlGoalSectionHTML(report.results.ldlGoal) : ''}
+
     <div class="section">
         <h2>Personalized Recommendations</h2>
         <div class="recommendations">
@@ -239,21 +293,290 @@ function generateReportHTML(report) {
     </div>
 </body>
 </html>
-  `
+  `;
+}
+
+function generateRiskSectionHTML(results) {
+  return `
+    <div class="section">
+        <h2>Risk Assessment Results</h2>
+        <div class="risk-result">
+            <p class="risk-percentage">${results.riskPercentage}%</p>
+            <div class="risk-category risk-tone-${results.riskClassification.tone}">
+                ${results.riskClassification.label}
+            </div>
+            <p><strong>${results.riskClassification.treatment}</strong></p>
+            <p>Thresholds (${results.riskClassification.guideline}):
+                ${results.riskClassification.bands.map(band => `${band.label} ${band.range}`).join(', ')}</p>
+            <p style="margin-top: 15px; font-style: italic;">
+                ${results.interpretation}
+            </p>
+            <p><strong>Heart Age:</strong> ${results.heartAge}</p>
+            ${results.riskAdjustments.length ? generateRiskAdjustmentsHTML(results.riskAdjustments) : ''}
+        </div>
+    </div>`;
+}
+
+function generateRiskAdjustmentsHTML(adjustments) {
+  const finalAdjustment = adjustments[adjustments.length - 1];
+  const originalClassification = adjustments[0].unadjustedClassification;
+
+  return `
+            <p><strong>Risk Adjustments:</strong></p>
+            <ul>
+                ${adjustments.map(adjustment => `<li>${adjustment.summary}</li>`).join('')}
+            </ul>
+            <p><strong>Adjusted Risk:</strong> ${finalAdjustment.adjustedRisk}% (${finalAdjustment.adjustedClassification.label})
+                ${finalAdjustment.adjustedClassification.category !== originalClassification.category ?
+                  `, changed from ${originalClassification.label}` : ''}</p>`;
+}
+
+function generateRiskEnhancersSectionHTML(riskEnhancers) {
+  return `
+    <div class="section">
+        <h2>Risk Enhancers</h2>
+        <ul>
+            ${riskEnhancers.map(enhancer => `<li>${enhancer.label}</li>`).join('')}
+        </ul>
+        <p><em>Not included in the risk estimate; ESC 2021 risk modifiers that favour treatment near a threshold</em></p>
+    </div>`;
+}
+
+function generateFrailtySectionHTML(frailty) {
+  const row = (label, value) => `
+            <div class="info-item">
+                <span class="info-label">${label}:</span>
+                <span>${value}</span>
+            </div>`;
+
+  return `
+    <div class="section">
+        <h2>Frailty and Treatment Benefit</h2>
+        <div class="patient-info">
+            ${row('Clinical Frailty Scale', frailty.clinicalFrailtyScale ? `${frailty.clinicalFrailtyScale} - ${frailty.frailtyLabel}` : 'Not assessed')}
+            ${row('Comorbidities', frailty.comorbidities.summary)}
+            ${row('Estimated Life Expectancy', `${frailty.lifeExpectancy} years (average ${frailty.populationLifeExpectancy})`)}
+            ${row('Time to Benefit of Statins', `~${frailty.timeToBenefit} years`)}
+        </div>
+        <p><strong>${frailty.label}:</strong> ${frailty.summary}</p>
+    </div>`;
+}
+
+function generateTreatmentSectionHTML(treatmentEffect) {
+  const { lipidLowering, bpLowering, current, untreated } = treatmentEffect;
+  const row = (label, value) => `
+            <div class="info-item">
+                <span class="info-label">${label}:</span>
+                <span>${value}</span>
+            </div>`;
+
+  return `
+    <div class="section">
+        <h2>Current Treatment</h2>
+        <div class="patient-info">
+            ${lipidLowering ? row('Lipid-Lowering', `${lipidLowering.summary} (~${lipidLowering.ldlReduction}% LDL-C)`) : ''}
+            ${lipidLowering ? row('Total Cholesterol', `${current.totalCholesterol} on treatment, ~${untreated.totalCholesterol} untreated`) : ''}
+            ${bpLowering ? row('Blood Pressure Medication', `${bpLowering.summary} (~${bpLowering.sbpReduction} mmHg)`) : ''}
+            ${bpLowering ? row('Systolic BP', `${current.systolicBP} mmHg on treatment, ~${untreated.systolicBP} mmHg untreated`) : ''}
+            ${row('Risk on Current Treatment', `${treatmentEffect.onTreatmentRisk}% (${treatmentEffect.onTreatmentClassification.label})`)}
+            ${row('Estimated Untreated Risk', `${treatmentEffect.untreatedRisk}% (${treatmentEffect.untreatedClassification.label})`)}
+        </div>
+        <p><em>Untreated values are estimated from the expected drug effects; the risk on treatment is the residual risk</em></p>
+    </div>`;
+}
+
+function generateRiskByDefinitionSectionHTML(results) {
+  const screen = results.riskByDefinition;
+
+  return `
+    <div class="section">
+        <h2>SCORE2 Not Applicable</h2>
+        <div class="risk-result">
+            <div class="risk-category risk-tone-${screen.tone}">
+                ${screen.label}
+            </div>
+            <p><strong>${screen.treatment}</strong> (${screen.guideline})</p>
+            <ul>
+                ${screen.reasons.map(reason => `<li>${reason.label}</li>`).join('')}
+            </ul>
+            ${results.scoreNotApplicable ? `<p style="margin-top: 15px; font-style: italic;">${results.interpretation}</p>` : ''}
+        </div>
+    </div>`;
+}
+
+function generateLifetimeOnlySectionHTML(results) {
+  return `
+    <div class="section">
+        <h2>Risk Assessment Results</h2>
+        <div class="risk-result">
+            <p><strong>Risk factor assessment (below the SCORE2 age range)</strong></p>
+            <p>${results.ageNote}</p>
+            <p style="margin-top: 15px; font-style: italic;">
+                ${results.interpretation}
+            </p>
+        </div>
+        <div class="patient-info">
+            ${results.riskFactors.map(factor => `
+            <div class="info-item">
+                <span class="info-label">${factor.factor}:</span>
+                <span>${factor.value} (${factor.status})</span>
+            </div>`).join('')}
+        </div>
+        ${results.riskFactors.filter(factor => factor.note).map(factor => `<p><em>${factor.note}</em></p>`).join('')}
+    </div>`;
+}
+
+function generateBloodPressureSectionHTML(bloodPressure) {
+  const formatBP = (reading) => reading.diastolic ?
+    `${reading.systolic}/${reading.diastolic} mmHg` : `${reading.systolic} mmHg`;
+  const row = (label, value) => `
+            <div class="info-item">
+                <span class="info-label">${label}:</span>
+                <span>${value}</span>
+            </div>`;
+
+  return `
+    <div class="section">
+        <h2>Blood Pressure</h2>
+        <div class="patient-info">
+            ${bloodPressure.officeReadings.map((reading, index) => row(`Office Reading ${index + 1}`, formatBP(reading))).join('')}
+            ${bloodPressure.office ? row('Office Average', formatBP(bloodPressure.office)) : ''}
+            ${bloodPressure.home ? row('Home Average', formatBP(bloodPressure.home)) : ''}
+            ${bloodPressure.ambulatory ? row('24-h Ambulatory Average', formatBP(bloodPressure.ambulatory)) : ''}
+            ${row('Classification', bloodPressure.classification.label + (bloodPressure.pattern ? ` (${bloodPressure.pattern})` : ''))}
+            ${row('SBP Used for Risk', `${bloodPressure.systolicBP} mmHg (${bloodPressure.systolicBPSource})`)}
+        </div>
+        ${bloodPressure.office ? `<p><em>Averaging method: ${bloodPressure.office.method}</em></p>` : ''}
+    </div>`;
+}
+
+function generateKidneySectionHTML(kidney) {
+  const { kdigo } = kidney;
+  const row = (label, value) => `
+            <div class="info-item">
+                <span class="info-label">${label}:</span>
+                <span>${value}</span>
+            </div>`;
+
+  return `
+    <div class="section">
+        <h2>Kidney Function</h2>
+        <div class="patient-info">
+            ${kidney.creatinine ? row('Serum Creatinine', `${kidney.creatinine.value} ${kidney.creatinine.unit}`) : ''}
+            ${row(`eGFR (${kidney.egfrSource})`, `${kidney.egfr} mL/min/1.73m²`)}
+            ${row('GFR Category', `${kdigo.gfrStage.stage}: ${kdigo.gfrStage.label}`)}
+            ${row('Albuminuria Category', kidney.acr ?
+              `${kdigo.albuminuriaStage.stage}: ${kdigo.albuminuriaStage.label} (${kidney.acr.value} ${kidney.acr.unit})` : 'ACR not provided')}
+            ${row('KDIGO Prognosis', kdigo.label)}
+        </div>
+    </div>`;
+}
+
+function generateCalciumScoreSectionHTML(cac) {
+  const row = (label, value) => `
+            <div class="info-item">
+                <span class="info-label">${label}:</span>
+                <span>${value}</span>
+            </div>`;
+
+  return `
+    <div class="section">
+        <h2>Coronary Artery Calcium</h2>
+        <div class="patient-info">
+            ${row('Agatston Score', `${cac.score}${cac.percentile !== null ? ` (${cac.percentile}th percentile)` : ''}`)}
+            ${row('Category', cac.label)}
+        </div>
+        <p>${cac.guidance}</p>
+        <p><em>A risk modifier alongside SCORE2: the estimated risk is not recalculated from the CAC score</em></p>
+    </div>`;
+}
+
+function generateLipidSectionHTML(lipidProfile) {
+  const { unit } = lipidProfile;
+  const ldlRows = Object.entries(lipidProfile.ldlEstimates)
+    .filter(([, value]) => value !== null)
+    .map(([method, value]) => `
+            <div class="info-item">
+                <span class="info-label">LDL-C (${LDL_METHOD_LABELS[method]}${lipidProfile.preferredLdl?.method === method ? ', preferred' : ''}):</span>
+                <span>${value} ${unit}</span>
+            </div>`)
+    .join('');
+
+  return `
+    <div class="section">
+        <h2>Lipid Profile</h2>
+        <div class="patient-info">
+            <div class="info-item">
+                <span class="info-label">Non-HDL Cholesterol:</span>
+                <span>${lipidProfile.nonHdlCholesterol} ${unit}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Triglycerides:</span>
+                <span>${lipidProfile.triglycerides !== null ? `${lipidProfile.triglycerides} ${unit}` : 'Not provided'}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">ApoB:</span>
+                <span>${lipidProfile.apoB ? `${lipidProfile.apoB.value} ${lipidProfile.apoB.unit}` : 'Not provided'}</span>
+            </div>
+            ${ldlRows}
+        </div>
+        ${lipidProfile.warnings.map(warning => `<p><em>${warning}</em></p>`).join('')}
+    </div>`;
+}
+
+function generateLdlGoalSectionHTML(ldlGoal) {
+  return `
+    <div class="section">
+        <h2>LDL-C Goal</h2>
+        <div class="patient-info">
+            <div class="info-item">
+                <span class="info-label">Current LDL-C:</span>
+                <span>${ldlGoal.currentLdl} ${ldlGoal.unit}</span>
+            </div>
+            ${ldlGoal.currentTreatment ? `
+            <div class="info-item">
+                <span class="info-label">Estimated Untreated LDL-C:</span>
+                <span>${ldlGoal.baselineLdl} ${ldlGoal.unit} (on ${ldlGoal.currentTreatment})</span>
+            </div>` : ''}
+            <div class="info-item">
+                <span class="info-label">Target LDL-C:</span>
+                <span>&lt;${ldlGoal.target} ${ldlGoal.unit}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Reduction Needed:</span>
+                <span>${ldlGoal.requiredReduction}%</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Suggested Therapy:</span>
+                <span>${ldlGoal.suggestedStep ? ldlGoal.suggestedStep.label : ldlGoal.atGoal ? 'At goal' : 'Specialist referral'}</span>
+            </div>
+        </div>
+        <p>${ldlGoal.summary}</p>
+    </div>`;
 }
 
 export function shareResults(formData, results) {
   // Generate a shareable summary
+  const riskSummary = results.scoreNotApplicable ?
+    `${results.riskByDefinition.summary}
+Category: ${results.riskClassification.label}
+${results.riskClassification.treatment}` : results.lifetimeOnly ?
+    `Risk Factors: ${results.riskFactors.map(factor => `${factor.factor} ${factor.status}`).join(', ')}` :
+    `Risk: ${results.riskPercentage}% (${results.riskClassification.label})
+${results.riskClassification.treatment}
+Heart Age: ${formatHeartAge(results)}${(results.riskAdjustments || []).map(adjustment => `\n${adjustment.summary}`).join('')}${results.treatmentEffect ?
+  `\nRisk on current treatment ${results.treatmentEffect.onTreatmentRisk}%, estimated untreated ${results.treatmentEffect.untreatedRisk}%` : ''}`;
+  const riskEnhancers = results.riskEnhancers?.length ?
+    `\nRisk Enhancers: ${results.riskEnhancers.map(enhancer => enhancer.label).join(', ')}` : '';
   const summary = `SCORE2 Cardiovascular Risk Assessment
   
-Risk: ${results.riskPercentage}% (${results.riskCategory} risk)
-Heart Age: ${results.heartAge} years
+${riskSummary}${riskEnhancers}
 Algorithm: ${results.algorithm}
 
 ${results.interpretation}
 
 Generated by SCORE2 Risk Calculator
-Date: ${new Date().toLocaleDateString()}`
+Date: ${new Date().toLocaleDateString()}`;
 
   // Use Web Share API if available, otherwise copy to clipboard
   if (navigator.share) {
@@ -261,42 +584,42 @@ Date: ${new Date().toLocaleDateString()}`
       title: 'SCORE2 Risk Assessment Results',
       text: summary
     }).catch(err => {
-      console.log('Error sharing:', err)
-      copyToClipboard(summary)
-    })
+      console.log('Error sharing:', err);
+      copyToClipboard(summary);
+    });
   } else {
-    copyToClipboard(summary)
+    copyToClipboard(summary);
   }
 }
 
 function copyToClipboard(text) {
   if (navigator.clipboard) {
     navigator.clipboard.writeText(text).then(() => {
-      alert('Results copied to clipboard!')
+      alert('Results copied to clipboard!');
     }).catch(err => {
-      console.error('Failed to copy:', err)
-      fallbackCopyToClipboard(text)
-    })
+      console.error('Failed to copy:', err);
+      fallbackCopyToClipboard(text);
+    });
   } else {
-    fallbackCopyToClipboard(text)
+    fallbackCopyToClipboard(text);
   }
 }
 
 function fallbackCopyToClipboard(text) {
-  const textArea = document.createElement('textarea')
-  textArea.value = text
-  document.body.appendChild(textArea)
-  textArea.focus()
-  textArea.select()
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  document.body.appendChild(textArea);
+  textArea.focus();
+  textArea.select();
   
   try {
-    document.execCommand('copy')
-    alert('Results copied to clipboard!')
+    document.execCommand('copy');
+    alert('Results copied to clipboard!');
   } catch (err) {
-    console.error('Fallback copy failed:', err)
-    alert('Unable to copy results. Please copy manually.')
+    console.error('Fallback copy failed:', err);
+    alert('Unable to copy results. Please copy manually.');
   }
   
-  document.body.removeChild(textArea)
+  document.body.removeChild(textArea);
 }
 
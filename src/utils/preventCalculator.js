@@ -0,0 +1,276 @@
+// AHA PREVENT Cardiovascular Risk Calculator
+// Base PREVENT equations for 10- and 30-year total CVD, ASCVD and heart failure risk
+// Reference: Khan SS, et al. Development and Validation of the American Heart Association's
+// PREVENT Equations. Circulation. 2024;149(6):430-449 (Supplemental Table S12)
+
+import {
+  deriveLipids,
+  categorizeAscvdRisk,
+  summarizeNonHdlCholesterol,
+  generateRecommendations
+} from './score2Calculator.js';
+
+// Logistic model coefficients by outcome and sex. Predictors:
+// age (age - 55) / 10, non-HDL (nonhdl - 3.5) mmol/L, HDL (hdl - 1.3) / 0.3,
+// SBP split at 110: (min(sbp, 110) - 110) / 20 and (max(sbp, 110) - 130) / 20,
+// eGFR split at 60: (min(egfr, 60) - 60) / -15 and (max(egfr, 60) - 90) / -15,
+// BMI split at 30 (heart failure only): (min(bmi, 30) - 25) / 5 and (max(bmi, 30) - 30) / 5
+const PREVENT_10_YEAR_COEFFICIENTS = {
+  cvd: {
+    female: {
+      constant: -3.307728, age: 0.7939329, nonHdl: 0.0305239, hdl: -0.1606857,
+      sbpLow: -0.2394003, sbpHigh: 0.360078, diabetes: 0.8667604, smoking: 0.5360739,
+      egfrLow: 0.6045917, egfrHigh: 0.0433769, bpTreatment: 0.3151672, statin: -0.1477655,
+      bpTreatmentSbpHigh: -0.0663612, statinNonHdl: 0.1197879, ageNonHdl: -0.0819715,
+      ageHdl: 0.0306769, ageSbpHigh: -0.0946348, ageDiabetes: -0.27057, ageSmoking: -0.078715,
+      ageEgfrLow: -0.1637806
+    },
+    male: {
+      constant: -3.031168, age: 0.7688528, nonHdl: 0.0736174, hdl: -0.0954431,
+      sbpLow: -0.4347345, sbpHigh: 0.3362658, diabetes: 0.7692857, smoking: 0.4386871,
+      egfrLow: 0.5378979, egfrHigh: 0.0164827, bpTreatment: 0.288879, statin: -0.1337349,
+      bpTreatmentSbpHigh: -0.0475924, statinNonHdl: 0.150273, ageNonHdl: -0.0517874,
+      ageHdl: 0.0191169, ageSbpHigh: -0.1049477, ageDiabetes: -0.2251948, ageSmoking: -0.0895067,
+      ageEgfrLow: -0.1543702
+    }
+  },
+  ascvd: {
+    female: {
+      constant: -3.819975, age: 0.719883, nonHdl: 0.1176967, hdl: -0.151185,
+      sbpLow: -0.0835358, sbpHigh: 0.3592852, diabetes: 0.8348585, smoking: 0.4831078,
+      egfrLow: 0.4864619, egfrHigh: 0.0397779, bpTreatment: 0.2265309, statin: -0.0592374,
+      bpTreatmentSbpHigh: -0.0395762, statinNonHdl: 0.0844423, ageNonHdl: -0.0567839,
+      ageHdl: 0.0325692, ageSbpHigh: -0.1035985, ageDiabetes: -0.2417542, ageSmoking: -0.0791142,
+      ageEgfrLow: -0.1671492
+    },
+    male: {
+      constant: -3.500655, age: 0.7099847, nonHdl: 0.1658663, hdl: -0.1144285,
+      sbpLow: -0.2837212, sbpHigh: 0.3239977, diabetes: 0.7189597, smoking: 0.3956973,
+      egfrLow: 0.3690075, egfrHigh: 0.0203619, bpTreatment: 0.2036522, statin: -0.0865581,
+      bpTreatmentSbpHigh: -0.0322916, statinNonHdl: 0.114563, ageNonHdl: -0.0300005,
+      ageHdl: 0.0232747, ageSbpHigh: -0.0927024, ageDiabetes: -0.2018525, ageSmoking: -0.0970527,
+      ageEgfrLow: -0.1217081
+    }
+  },
+  heartFailure: {
+    female: {
+      constant: -4.310409, age: 0.8998235, sbpLow: -0.4559771, sbpHigh: 0.3576505,
+      diabetes: 1.038346, smoking: 0.583916, bmiLow: -0.0072294, bmiHigh: 0.2997706,
+      egfrLow: 0.7451638, egfrHigh: 0.0557087, bpTreatment: 0.3534442,
+      bpTreatmentSbpHigh: -0.0981511, ageSbpHigh: -0.0946663, ageDiabetes: -0.3581041,
+      ageSmoking: -0.1159453, ageBmiHigh: -0.003878, ageEgfrLow: -0.1884289
+    },
+    male: {
+      constant: -3.946391, age: 0.8972642, sbpLow: -0.6811466, sbpHigh: 0.3634461,
+      diabetes: 0.923776, smoking: 0.5023736, bmiLow: -0.0485841, bmiHigh: 0.3726929,
+      egfrLow: 0.6926917, egfrHigh: 0.0251827, bpTreatment: 0.2980922,
+      bpTreatmentSbpHigh: -0.0497731, ageSbpHigh: -0.1289201, ageDiabetes: -0.3040924,
+      ageSmoking: -0.1401688, ageBmiHigh: 0.0068126, ageEgfrLow: -0.1797778
+    }
+  }
+};
+
+// 30-year equations add a quadratic age term; recommended for ages 30-59
+const PREVENT_30_YEAR_COEFFICIENTS = {
+  cvd: {
+    female: {
+      constant: -1.318827, age: 0.5503079, ageSquared: -0.0928369, nonHdl: 0.0409794, hdl: -0.1663306,
+      sbpLow: -0.1628654, sbpHigh: 0.3299505, diabetes: 0.6793894, smoking: 0.3196112,
+      egfrLow: 0.1857101, egfrHigh: 0.0553528, bpTreatment: 0.2894, statin: -0.075688,
+      bpTreatmentSbpHigh: -0.056367, statinNonHdl: 0.1071019, ageNonHdl: -0.0751438,
+      ageHdl: 0.0301786, ageSbpHigh: -0.0998776, ageDiabetes: -0.3206166, ageSmoking: -0.1607862,
+      ageEgfrLow: -0.1450788
+    },
+    male: {
+      constant: -1.148204, age: 0.4627309, ageSquared: -0.0984281, nonHdl: 0.0836088, hdl: -0.1029824,
+      sbpLow: -0.2140352, sbpHigh: 0.2904325, diabetes: 0.5331276, smoking: 0.2141914,
+      egfrLow: 0.1155556, egfrHigh: 0.0603775, bpTreatment: 0.232714, statin: -0.0272112,
+      bpTreatmentSbpHigh: -0.0384488, statinNonHdl: 0.134192, ageNonHdl: -0.0511759,
+      ageHdl: 0.0165865, ageSbpHigh: -0.1101437, ageDiabetes: -0.2585943, ageSmoking: -0.1566406,
+      ageEgfrLow: -0.1166776
+    }
+  },
+  ascvd: {
+    female: {
+      constant: -1.974074, age: 0.4669202, ageSquared: -0.0893118, nonHdl: 0.1256901, hdl: -0.1542255,
+      sbpLow: -0.0018093, sbpHigh: 0.322949, diabetes: 0.6296707, smoking: 0.268292,
+      egfrLow: 0.100106, egfrHigh: 0.0499663, bpTreatment: 0.1875292, statin: 0.0152476,
+      bpTreatmentSbpHigh: -0.0276123, statinNonHdl: 0.0736147, ageNonHdl: -0.0521962,
+      ageHdl: 0.0316918, ageSbpHigh: -0.1046101, ageDiabetes: -0.2727793, ageSmoking: -0.1530907,
+      ageEgfrLow: -0.1299149
+    },
+    male: {
+      constant: -1.736444, age: 0.3994099, ageSquared: -0.0937484, nonHdl: 0.1744643, hdl: -0.120203,
+      sbpLow: -0.0665117, sbpHigh: 0.2753037, diabetes: 0.4790257, smoking: 0.1782635,
+      egfrLow: -0.0218789, egfrHigh: 0.0602553, bpTreatment: 0.1421182, statin: 0.0135996,
+      bpTreatmentSbpHigh: -0.0218265, statinNonHdl: 0.1013148, ageNonHdl: -0.0312619,
+      ageHdl: 0.020673, ageSbpHigh: -0.0920935, ageDiabetes: -0.2159947, ageSmoking: -0.1548811,
+      ageEgfrLow: -0.0712547
+    }
+  },
+  heartFailure: {
+    female: {
+      constant: -2.205379, age: 0.6254374, ageSquared: -0.0983038, sbpLow: -0.3919241, sbpHigh: 0.3142295,
+      diabetes: 0.8330787, smoking: 0.3438651, bmiLow: 0.0594874, bmiHigh: 0.2525536,
+      egfrLow: 0.2981642, egfrHigh: 0.0667159, bpTreatment: 0.333921,
+      bpTreatmentSbpHigh: -0.0893177, ageSbpHigh: -0.0974299, ageDiabetes: -0.404855,
+      ageSmoking: -0.1982991, ageBmiHigh: -0.0035619, ageEgfrLow: -0.1564215
+    },
+    male: {
+      constant: -1.95751, age: 0.5681541, ageSquared: -0.1048388, sbpLow: -0.4761564, sbpHigh: 0.30324,
+      diabetes: 0.6840338, smoking: 0.2656273, bmiLow: 0.0833107, bmiHigh: 0.26999,
+      egfrLow: 0.2541805, egfrHigh: 0.0638923, bpTreatment: 0.2583631,
+      bpTreatmentSbpHigh: -0.0391938, ageSbpHigh: -0.1269124, ageDiabetes: -0.3273572,
+      ageSmoking: -0.2043019, ageBmiHigh: -0.0182831, ageEgfrLow: -0.1342618
+    }
+  }
+};
+
+// Oldest age for which 30-year risk is reported
+const PREVENT_30_YEAR_MAX_AGE = 59;
+
+/**
+ * Transformed PREVENT predictors shared by all outcomes
+ */
+function preventPredictors(params) {
+  const { hdlCholesterol, nonHdlCholesterol } = deriveLipids(params);
+
+  return {
+    age: (params.age - 55) / 10,
+    nonHdl: nonHdlCholesterol - 3.5,
+    hdl: (hdlCholesterol - 1.3) / 0.3,
+    sbpLow: (Math.min(params.systolicBP, 110) - 110) / 20,
+    sbpHigh: (Math.max(params.systolicBP, 110) - 130) / 20,
+    diabetes: params.diabetes === 'yes' ? 1 : 0,
+    smoking: params.smoking === 'smoker' ? 1 : 0,
+    egfrLow: (Math.min(params.egfr, 60) - 60) / -15,
+    egfrHigh: (Math.max(params.egfr, 60) - 90) / -15,
+    bmiLow: (Math.min(params.bmi, 30) - 25) / 5,
+    bmiHigh: (Math.max(params.bmi, 30) - 30) / 5,
+    bpTreatment: params.bpTreatment === 'yes' ? 1 : 0,
+    statin: params.statin === 'yes' ? 1 : 0
+  };
+}
+
+/**
+ * Risk (fraction, 0-1) for one outcome: 1 / (1 + exp(-x))
+ */
+function preventOutcomeRisk(coef, x) {
+  const linearPredictor =
+    coef.constant +
+    coef.age * x.age +
+    (coef.ageSquared || 0) * x.age * x.age +
+    (coef.nonHdl || 0) * x.nonHdl +
+    (coef.hdl || 0) * x.hdl +
+    coef.sbpLow * x.sbpLow +
+    coef.sbpHigh * x.sbpHigh +
+    coef.diabetes * x.diabetes +
+    coef.smoking * x.smoking +
+    (coef.bmiLow || 0) * x.bmiLow +
+    (coef.bmiHigh || 0) * x.bmiHigh +
+    coef.egfrLow * x.egfrLow +
+    coef.egfrHigh * x.egfrHigh +
+    coef.bpTreatment * x.bpTreatment +
+    (coef.statin || 0) * x.statin +
+    coef.bpTreatmentSbpHigh * x.bpTreatment * x.sbpHigh +
+    (coef.statinNonHdl || 0) * x.statin * x.nonHdl +
+    (coef.ageNonHdl || 0) * x.age * x.nonHdl +
+    (coef.ageHdl || 0) * x.age * x.hdl +
+    coef.ageSbpHigh * x.age * x.sbpHigh +
+    coef.ageDiabetes * x.age * x.diabetes +
+    coef.ageSmoking * x.age * x.smoking +
+    (coef.ageBmiHigh || 0) * x.age * x.bmiHigh +
+    coef.ageEgfrLow * x.age * x.egfrLow;
+
+  return 1 / (1 + Math.exp(-linearPredictor));
+}
+
+/**
+ * Risks for all outcomes over one horizon
+ */
+function preventHorizonRisks(coefficients, sex, x) {
+  return {
+    cvd: preventOutcomeRisk(coefficients.cvd[sex], x),
+    ascvd: preventOutcomeRisk(coefficients.ascvd[sex], x),
+    heartFailure: preventOutcomeRisk(coefficients.heartFailure[sex], x)
+  };
+}
+
+/**
+ * Build the full PREVENT result in the same layout as the SCORE2 result
+ */
+function buildPREVENTResult(params) {
+  const { risk, outcomes } = PREVENT_MODEL.compute(params);
+  const toPercentage = (value) => value === null ? null : Math.round(value * 1000) / 10;
+  const riskPercentage = toPercentage(risk);
+
+  const riskClassification = categorizeAscvdRisk(toPercentage(outcomes.tenYear.ascvd));
+  const riskCategory = riskClassification.category;
+  const group = params.sex === 'male' ? 'men' : 'women';
+
+  return {
+    riskPercentage,
+    uncalibratedRiskPercentage: riskPercentage,
+    riskCategory,
+    riskClassification,
+    heartAge: null,
+    heartAgeOutOfRange: null,
+    nonHdlCholesterol: summarizeNonHdlCholesterol(params),
+    outcomes: {
+      tenYear: {
+        cvd: toPercentage(outcomes.tenYear.cvd),
+        ascvd: toPercentage(outcomes.tenYear.ascvd),
+        heartFailure: toPercentage(outcomes.tenYear.heartFailure)
+      },
+      thirtyYear: outcomes.thirtyYear && {
+        cvd: toPercentage(outcomes.thirtyYear.cvd),
+        ascvd: toPercentage(outcomes.thirtyYear.ascvd),
+        heartFailure: toPercentage(outcomes.thirtyYear.heartFailure)
+      }
+    },
+    interpretation: `This means out of 100 ${group} like you, about ${Math.round(riskPercentage)} will develop cardiovascular disease (heart attack, stroke or heart failure) in the next 10 years.`,
+    recommendations: generateRecommendations(params, riskCategory === 'intermediate' || riskCategory === 'high'),
+    algorithm: PREVENT_MODEL.name,
+    modelId: PREVENT_MODEL.id,
+    modelVersion: PREVENT_MODEL.version
+  };
+}
+
+/**
+ * PREVENT: 10-year total CVD risk (headline) with ASCVD and heart failure
+ * components, plus 30-year risks for ages 30-59
+ */
+export const PREVENT_MODEL = {
+  id: 'prevent',
+  name: 'AHA PREVENT',
+  version: '2023',
+  reference: 'Khan SS, et al. Circulation. 2024;149(6):430-449',
+  inputs: [
+    { name: 'age', label: 'Age', type: 'number', unit: 'years', min: 30, max: 79, required: true },
+    { name: 'sex', label: 'Sex', type: 'option', options: ['male', 'female'], required: true },
+    { name: 'smoking', label: 'Smoking status', type: 'option', options: ['smoker', 'non-smoker'], required: true },
+    { name: 'systolicBP', label: 'Systolic blood pressure', type: 'number', unit: 'mmHg', min: 90, max: 180, required: true },
+    { name: 'bpTreatment', label: 'Blood pressure treatment', type: 'option', options: ['yes', 'no'], required: true },
+    { name: 'totalCholesterol', label: 'Total cholesterol', type: 'number', unit: 'cholesterolUnit', required: true },
+    { name: 'cholesterolUnit', label: 'Cholesterol unit', type: 'option', options: ['mmol/L', 'mg/dL'], required: true },
+    { name: 'hdlCholesterol', label: 'HDL cholesterol', type: 'number', unit: 'cholesterolUnit', required: true },
+    { name: 'nonHdlCholesterol', label: 'Non-HDL cholesterol (measured)', type: 'number', unit: 'cholesterolUnit', required: false },
+    { name: 'statin', label: 'Statin use', type: 'option', options: ['yes', 'no'], required: false },
+    { name: 'diabetes', label: 'Diabetes', type: 'option', options: ['yes', 'no'], required: true },
+    { name: 'egfr', label: 'eGFR', type: 'number', unit: 'mL/min/1.73m²', min: 15, max: 140, required: true },
+    { name: 'bmi', label: 'BMI', type: 'number', unit: 'kg/m²', min: 18.5, max: 39.9, required: true }
+  ],
+  compute: (params) => {
+    const x = preventPredictors(params);
+    const tenYear = preventHorizonRisks(PREVENT_10_YEAR_COEFFICIENTS, params.sex, x);
+    const thirtyYear = params.age <= PREVENT_30_YEAR_MAX_AGE ?
+      preventHorizonRisks(PREVENT_30_YEAR_COEFFICIENTS, params.sex, x) : null;
+
+    return {
+      risk: tenYear.cvd,
+      uncalibratedRisk: tenYear.cvd,
+      outcomes: { tenYear, thirtyYear }
+    };
+  },
+  buildResult: buildPREVENTResult
+};
@@ -0,0 +1,344 @@
+// QRISK3 Cardiovascular Risk Calculator
+// QRISK3-2017 10-year risk of heart attack or stroke and QRISK3 heart age
+// Reference: Hippisley-Cox J, et al. Development and validation of QRISK3 risk prediction
+// algorithms to estimate future risk of cardiovascular disease. BMJ. 2017;357:j2099
+// Coefficients from the published QRISK3-2017 source (qrisk.org, LGPL)
+
+import { deriveLipids, summarizeNonHdlCholesterol, generateRecommendations } from './score2Calculator.js';
+
+// QRISK3 ethnicity codes, in the order of the published coefficient arrays
+export const QRISK3_ETHNICITIES = {
+  'white': 'White or not stated',
+  'indian': 'Indian',
+  'pakistani': 'Pakistani',
+  'bangladeshi': 'Bangladeshi',
+  'other-asian': 'Other Asian',
+  'black-caribbean': 'Black Caribbean',
+  'black-african': 'Black African',
+  'chinese': 'Chinese',
+  'other': 'Other ethnic group'
+};
+
+// QRISK3 smoking categories (light <10, moderate 10-19, heavy ≥20 cigarettes a day)
+export const QRISK3_SMOKING_CATEGORIES = {
+  'non-smoker': 'Non-smoker',
+  'ex-smoker': 'Ex-smoker',
+  'light': 'Light smoker (<10/day)',
+  'moderate': 'Moderate smoker (10-19/day)',
+  'heavy': 'Heavy smoker (20+/day)'
+};
+
+// Clinical conditions and treatments entered as yes/no, with their coefficient names
+export const QRISK3_CONDITIONS = {
+  familyHistoryChd: 'Angina or heart attack in a first-degree relative under 60',
+  chronicKidneyDisease: 'Chronic kidney disease (stage 3, 4 or 5)',
+  atrialFibrillation: 'Atrial fibrillation',
+  rheumatoidArthritis: 'Rheumatoid arthritis',
+  sle: 'Systemic lupus erythematosus (SLE)',
+  migraine: 'Migraine',
+  severeMentalIllness: 'Severe mental illness',
+  atypicalAntipsychotics: 'On atypical antipsychotic medication',
+  corticosteroids: 'On regular steroid tablets',
+  erectileDysfunction: 'Erectile dysfunction (diagnosis or treatment)'
+};
+
+const QRISK3_COEFFICIENTS = {
+  female: {
+    survivor: 0.988876402378082,
+    ethnicity: [0, 0.2804031433299542, 0.5629899414207540, 0.2959000085111652, 0.0727853798779825,
+      -0.1707213550885732, -0.3937104331487497, -0.3263249528353027, -0.1712705688324178],
+    smoking: [0, 0.1338683378654626, 0.5620085801243854, 0.6674959337750255, 0.8494817764483085],
+    // Fractional polynomial age terms: age_1 = (age/10)^-2, age_2 = age/10
+    agePowers: [-2, 1],
+    means: {
+      age1: 0.053274843841791, age2: 4.332503318786621, bmi1: 0.154946178197861, bmi2: 0.144462317228317,
+      ratio: 3.476326465606690, sbp: 123.13001251220703, sbpVariability: 9.002537727355957, townsend: 0.392308831214905
+    },
+    continuous: {
+      age1: -8.1388109247726188, age2: 0.79733376689699098, bmi1: 0.29236092275460052, bmi2: -4.1513300213837665,
+      ratio: 0.15338035820802554, sbp: 0.013131488407103424, sbpVariability: 0.0078894541014586095,
+      townsend: 0.077223790588590108
+    },
+    binary: {
+      atrialFibrillation: 1.5923354969269663, atypicalAntipsychotics: 0.25237642070115557,
+      corticosteroids: 0.59520725304601851, erectileDysfunction: 0, migraine: 0.301267260870345,
+      rheumatoidArthritis: 0.21364803435181942, chronicKidneyDisease: 0.65194569493845833,
+      severeMentalIllness: 0.12555308058820178, sle: 0.75880938654267693, treatedHypertension: 0.50931593683423004,
+      type1Diabetes: 1.7267977510537347, type2Diabetes: 1.0688773244615468, familyHistoryChd: 0.45445319020896213
+    },
+    age1Interactions: {
+      smoking: [0, -4.7057161785851891, -2.7430383403573337, -0.86608088829392182, 0.90241562369710648],
+      atrialFibrillation: 19.938034889546561, corticosteroids: -0.98408045235936281, migraine: 1.7634979587872999,
+      chronicKidneyDisease: -3.5874047731694114, sle: 19.690303738638292, treatedHypertension: 11.872809733921812,
+      type1Diabetes: -1.2444332714320747, type2Diabetes: 6.8652342000009599, bmi1: 23.802623412141742,
+      bmi2: -71.184947692087007, familyHistoryChd: 0.99467807940435127, sbp: 0.034131842338615485,
+      townsend: -1.0301180802035639
+    },
+    age2Interactions: {
+      smoking: [0, -0.075589244643193026, -0.11951192874867074, -0.10366306397571923, -0.13991853591718389],
+      atrialFibrillation: -0.076182651011162505, corticosteroids: -0.12005364946742472,
+      migraine: -0.065586917898699859, chronicKidneyDisease: -0.22688873086442507, sle: 0.077347949679016273,
+      treatedHypertension: 0.00096857823588174436, type1Diabetes: -0.28724064624488949,
+      type2Diabetes: -0.097112252590695489, bmi1: 0.52369958933664429, bmi2: 0.045744190122323759,
+      familyHistoryChd: -0.076885051698423038, sbp: -0.0015082501423272358, townsend: -0.031593414674962329
+    }
+  },
+  male: {
+    survivor: 0.977268040180206,
+    ethnicity: [0, 0.2771924876030828, 0.4744636071493127, 0.5296172991968937, 0.0351001483223519,
+      -0.3580789966932792, -0.4005648523216514, -0.4152279288983017, -0.2632134813474997],
+    smoking: [0, 0.1912822286338898, 0.5524158819264555, 0.6383505302750607, 0.7898381988185802],
+    // Fractional polynomial age terms: age_1 = (age/10)^-1, age_2 = (age/10)^3
+    agePowers: [-1, 3],
+    means: {
+      age1: 0.234766781330109, age2: 77.284080505371094, bmi1: 0.149176135659218, bmi2: 0.141913309693336,
+      ratio: 4.300998687744141, sbp: 128.57157897949219, sbpVariability: 8.756621360778809, townsend: 0.526304900646210
+    },
+    continuous: {
+      age1: -17.839781666005575, age2: 0.0022964880605765492, bmi1: 2.4562776660536358, bmi2: -8.3011122314711354,
+      ratio: 0.17340196856327111, sbp: 0.012910126542553305, sbpVariability: 0.010251914291290456,
+      townsend: 0.033268201277287295
+    },
+    binary: {
+      atrialFibrillation: 0.88209236928054657, atypicalAntipsychotics: 0.13046879855173513,
+      corticosteroids: 0.45485399750445543, erectileDysfunction: 0.2225185908649538,
+      migraine: 0.25584178074159913, rheumatoidArthritis: 0.20970658013956567,
+      chronicKidneyDisease: 0.71853261288274384, severeMentalIllness: 0.12133039882047164,
+      sle: 0.4401572174457522, treatedHypertension: 0.51659871082695474, type1Diabetes: 1.2343425521675175,
+      type2Diabetes: 0.85942071430932221, familyHistoryChd: 0.54055469009390156
+    },
+    age1Interactions: {
+      smoking: [0, -0.21011133933516346, 0.75268676447503191, 0.99315887556405791, 2.1331163414389076],
+      atrialFibrillation: 3.4896675530623207, corticosteroids: 1.1708133653489108,
+      erectileDysfunction: -1.506400985745431, migraine: 2.3491159871402441,
+      chronicKidneyDisease: -0.50656716327223694, treatedHypertension: 6.5114581098532671,
+      type1Diabetes: 5.3379864878006531, type2Diabetes: 3.6461817406221311, bmi1: 31.004952956033886,
+      bmi2: -111.29157184391643, familyHistoryChd: 2.7808628508531887, sbp: 0.018858524469865853,
+      townsend: -0.1007554870063731
+    },
+    age2Interactions: {
+      smoking: [0, -0.00049854870275326121, -0.00079875633317385414, -0.00083706184266251296, -0.00078400319155637289],
+      atrialFibrillation: -0.00034995608340636049, corticosteroids: -0.0002496045095297166,
+      erectileDysfunction: -0.0011058218441227373, migraine: 0.00019896446041478631,
+      chronicKidneyDisease: -0.0018325930166498813, treatedHypertension: 0.00063838053104165013,
+      type1Diabetes: 0.0006409780808752897, type2Diabetes: -0.00024695695588868315, bmi1: 0.0050380102356322029,
+      bmi2: -0.013074483002524319, familyHistoryChd: -0.00024791809907396037, sbp: -0.00001271874191588457,
+      townsend: -0.000093299642323272888
+    }
+  }
+};
+
+// QRISK3 clamps BMI to the range it was derived on
+const QRISK3_BMI_RANGE = { min: 20, max: 40 };
+
+// QRISK3 heart age compares with a person of the same sex and ethnicity
+// with no other risk factors and these values
+const QRISK3_HEART_AGE_REFERENCE = {
+  smokingCategory: 'non-smoker',
+  diabetesType: null,
+  bmi: 25,
+  cholesterolRatio: 4,
+  systolicBP: 125,
+  sbpVariability: null,
+  townsend: 0,
+  bpTreatment: 'no'
+};
+
+// Age range covered by QRISK3
+const QRISK3_AGE_RANGE = { min: 25, max: 84 };
+
+// NICE offers statins for primary prevention from a QRISK3 of 10%
+const NICE_STATIN_THRESHOLD = 10;
+
+const NICE_RISK_CATEGORIES = {
+  'low': {
+    label: 'Below treatment threshold',
+    treatment: 'Lifestyle advice; reassess risk at least every 5 years',
+    tone: 'green'
+  },
+  'elevated': {
+    label: 'At or above treatment threshold',
+    treatment: 'Offer atorvastatin 20 mg for primary prevention alongside lifestyle advice',
+    tone: 'orange'
+  }
+};
+
+/**
+ * TC/HDL cholesterol ratio (unit independent)
+ */
+function cholesterolRatio(params) {
+  if (params.cholesterolRatio) return params.cholesterolRatio;
+  const { totalCholesterol, hdlCholesterol } = deriveLipids(params);
+  return totalCholesterol / hdlCholesterol;
+}
+
+/**
+ * Calculate QRISK3 10-year risk (fraction, 0-1): 1 - S10^exp(LP)
+ * Missing Townsend scores count as 0 and missing SBP variability as the model mean
+ */
+function calculateQRISK3Risk(params) {
+  const coef = QRISK3_COEFFICIENTS[params.sex];
+  const flag = (name) => params[name] === 'yes' ? 1 : 0;
+
+  const dage = params.age / 10;
+  const dbmi = Math.min(Math.max(params.bmi, QRISK3_BMI_RANGE.min), QRISK3_BMI_RANGE.max) / 10;
+
+  const x = {
+    age1: Math.pow(dage, coef.agePowers[0]) - coef.means.age1,
+    age2: Math.pow(dage, coef.agePowers[1]) - coef.means.age2,
+    bmi1: Math.pow(dbmi, -2) - coef.means.bmi1,
+    bmi2: Math.pow(dbmi, -2) * Math.log(dbmi) - coef.means.bmi2,
+    ratio: cholesterolRatio(params) - coef.means.ratio,
+    sbp: params.systolicBP - coef.means.sbp,
+    sbpVariability: (params.sbpVariability ?? coef.means.sbpVariability) - coef.means.sbpVariability,
+    townsend: (params.townsend ?? 0) - coef.means.townsend,
+    atrialFibrillation: flag('atrialFibrillation'),
+    atypicalAntipsychotics: flag('atypicalAntipsychotics'),
+    corticosteroids: flag('corticosteroids'),
+    erectileDysfunction: params.sex === 'male' ? flag('erectileDysfunction') : 0,
+    migraine: flag('migraine'),
+    rheumatoidArthritis: flag('rheumatoidArthritis'),
+    chronicKidneyDisease: flag('chronicKidneyDisease'),
+    severeMentalIllness: flag('severeMentalIllness'),
+    sle: flag('sle'),
+    treatedHypertension: flag('bpTreatment'),
+    type1Diabetes: params.diabetesType === 'type1' ? 1 : 0,
+    type2Diabetes: params.diabetesType === 'type2' ? 1 : 0,
+    familyHistoryChd: flag('familyHistoryChd')
+  };
+
+  const ethnicityIndex = Math.max(0, Object.keys(QRISK3_ETHNICITIES).indexOf(params.ethnicity));
+  const smokingIndex = Math.max(0, Object.keys(QRISK3_SMOKING_CATEGORIES).indexOf(params.smokingCategory));
+
+  let linearPredictor = coef.ethnicity[ethnicityIndex] + coef.smoking[smokingIndex];
+
+  Object.entries(coef.continuous).forEach(([term, beta]) => {
+    linearPredictor += beta * x[term];
+  });
+
+  Object.entries(coef.binary).forEach(([term, beta]) => {
+    linearPredictor += beta * x[term];
+  });
+
+  // Age interactions with smoking category and the other risk factors
+  const ageTerms = [[x.age1, coef.age1Interactions], [x.age2, coef.age2Interactions]];
+  ageTerms.forEach(([ageTerm, interactions]) => {
+    linearPredictor += ageTerm * interactions.smoking[smokingIndex];
+    Object.entries(interactions).forEach(([term, beta]) => {
+      if (term !== 'smoking') linearPredictor += ageTerm * beta * x[term];
+    });
+  });
+
+  return 1 - Math.pow(coef.survivor, Math.exp(linearPredictor));
+}
+
+/**
+ * QRISK3 heart age: the age at which a person of the same sex and ethnicity
+ * with healthy risk factors reaches the patient's risk, solved by bisection
+ * @returns {Object} { heartAge, heartAgeOutOfRange }
+ */
+function calculateQRISK3HeartAge(params, riskPercentage) {
+  const referenceParams = {
+    age: params.age,
+    sex: params.sex,
+    ethnicity: params.ethnicity,
+    ...QRISK3_HEART_AGE_REFERENCE
+  };
+  const referenceRiskAt = (age) => calculateQRISK3Risk({ ...referenceParams, age }) * 100;
+
+  let low = QRISK3_AGE_RANGE.min;
+  let high = QRISK3_AGE_RANGE.max;
+
+  if (riskPercentage < referenceRiskAt(low)) return { heartAge: null, heartAgeOutOfRange: 'below' };
+  if (riskPercentage > referenceRiskAt(high)) return { heartAge: null, heartAgeOutOfRange: 'above' };
+
+  while (high - low > 0.01) {
+    const mid = (low + high) / 2;
+    if (referenceRiskAt(mid) < riskPercentage) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return { heartAge: Math.round((low + high) / 2), heartAgeOutOfRange: null };
+}
+
+/**
+ * Categorize QRISK3 risk against the NICE statin threshold
+ * @param {number} riskPercentage - 10-year QRISK3 risk in %
+ * @returns {Object} { category, label, treatment, tone, guideline, bands }
+ */
+export function categorizeQRISK3Risk(riskPercentage) {
+  const category = riskPercentage >= NICE_STATIN_THRESHOLD ? 'elevated' : 'low';
+
+  return {
+    category,
+    ...NICE_RISK_CATEGORIES[category],
+    guideline: 'NICE NG238, QRISK3',
+    bands: [
+      { category: 'low', label: NICE_RISK_CATEGORIES.low.label, range: `<${NICE_STATIN_THRESHOLD}%`, tone: 'green' },
+      { category: 'elevated', label: NICE_RISK_CATEGORIES.elevated.label, range: `≥${NICE_STATIN_THRESHOLD}%`, tone: 'orange' }
+    ]
+  };
+}
+
+/**
+ * Build the full QRISK3 result in the same layout as the SCORE2 result
+ */
+function buildQRISK3Result(params) {
+  const { risk } = QRISK3_MODEL.compute(params);
+  const riskPercentage = Math.round(risk * 1000) / 10;
+  const riskClassification = categorizeQRISK3Risk(riskPercentage);
+  const { heartAge, heartAgeOutOfRange } = calculateQRISK3HeartAge(params, risk * 100);
+
+  return {
+    riskPercentage,
+    uncalibratedRiskPercentage: riskPercentage,
+    riskCategory: riskClassification.category,
+    riskClassification,
+    heartAge,
+    heartAgeOutOfRange,
+    heartAgeRange: QRISK3_AGE_RANGE,
+    nonHdlCholesterol: summarizeNonHdlCholesterol(params),
+    cholesterolRatio: Math.round(cholesterolRatio(params) * 10) / 10,
+    interpretation: `This means out of 100 people with the same risk factors, about ${Math.round(riskPercentage)} are likely to have a heart attack or stroke within the next 10 years.`,
+    recommendations: generateRecommendations(params, riskClassification.category === 'elevated'),
+    algorithm: QRISK3_MODEL.name,
+    modelId: QRISK3_MODEL.id,
+    modelVersion: QRISK3_MODEL.version
+  };
+}
+
+/**
+ * QRISK3: 10-year risk of heart attack or stroke for UK primary care, ages 25-84
+ */
+export const QRISK3_MODEL = {
+  id: 'qrisk3',
+  name: 'QRISK3',
+  version: '2017',
+  reference: 'Hippisley-Cox J, et al. BMJ. 2017;357:j2099',
+  inputs: [
+    { name: 'age', label: 'Age', type: 'number', unit: 'years', min: 25, max: 84, required: true },
+    { name: 'sex', label: 'Sex', type: 'option', options: ['male', 'female'], required: true },
+    { name: 'ethnicity', label: 'Ethnicity', type: 'option', options: Object.keys(QRISK3_ETHNICITIES), required: true },
+    { name: 'townsend', label: 'Townsend deprivation score', type: 'number', min: -8, max: 14, required: false },
+    { name: 'smokingCategory', label: 'Smoking status', type: 'option', options: Object.keys(QRISK3_SMOKING_CATEGORIES), required: true },
+    { name: 'diabetesType', label: 'Diabetes type', type: 'option', options: ['type1', 'type2'], required: false },
+    { name: 'systolicBP', label: 'Systolic blood pressure', type: 'number', unit: 'mmHg', min: 70, max: 210, required: true },
+    { name: 'sbpVariability', label: 'SBP variability (SD of readings)', type: 'number', unit: 'mmHg', min: 0, max: 40, required: false },
+    { name: 'bpTreatment', label: 'Treated hypertension', type: 'option', options: ['yes', 'no'], required: false },
+    { name: 'totalCholesterol', label: 'Total cholesterol', type: 'number', unit: 'cholesterolUnit', required: true },
+    { name: 'cholesterolUnit', label: 'Cholesterol unit', type: 'option', options: ['mmol/L', 'mg/dL'], required: true },
+    { name: 'hdlCholesterol', label: 'HDL cholesterol', type: 'number', unit: 'cholesterolUnit', required: true },
+    { name: 'bmi', label: 'BMI', type: 'number', unit: 'kg/m²', min: 15, max: 60, required: true },
+    ...Object.entries(QRISK3_CONDITIONS).map(([name, label]) => ({
+      name, label, type: 'option', options: ['yes', 'no'], required: false
+    }))
+  ],
+  compute: (params) => {
+    const risk = calculateQRISK3Risk(params);
+    return { risk, uncalibratedRisk: risk };
+  },
+  buildResult: buildQRISK3Result
+};
@@ -0,0 +1,90 @@
+// Risk Factor Summary
+// Qualitative assessment for ages 30-39, below the SCORE2 range: each modifiable
+// risk factor is graded as optimal, elevated or major, without a risk figure
+
+import { deriveLipids, summarizeNonHdlCholesterol, generateRecommendations, SCORE2_MIN_AGE } from './score2Calculator.js';
+
+/**
+ * Summarize modifiable risk factor levels for patients below the SCORE2 age range
+ * @param {Object} params - Patient parameters
+ * @returns {Array<Object>} [{ factor, value, status: 'optimal' | 'elevated' | 'major', note }]
+ */
+export function summarizeRiskFactors(params) {
+  const { totalCholesterol, nonHdlCholesterol } = deriveLipids(params);
+  const nonHdl = summarizeNonHdlCholesterol(params);
+  const factors = [
+    {
+      factor: 'Smoking',
+      value: params.smokingHistory?.summary || (params.smoking === 'smoker' ? 'Current smoker' : 'Non-smoker'),
+      // Former smokers carry some excess risk for a few years after quitting
+      status: params.smoking === 'smoker' ? 'major' : params.smokingHistory?.recentQuit ? 'elevated' : 'optimal'
+    },
+    {
+      factor: 'Systolic blood pressure',
+      value: `${params.systolicBP} mmHg`,
+      status: params.systolicBP >= 140 ? 'major' : params.systolicBP >= 120 ? 'elevated' : 'optimal'
+    },
+    {
+      factor: 'Non-HDL cholesterol',
+      value: `${nonHdl.value} ${nonHdl.unit}`,
+      status: nonHdlCholesterol >= 4.9 ? 'major' : nonHdlCholesterol >= 3.4 ? 'elevated' : 'optimal',
+      note: totalCholesterol > 8 ? 'Total cholesterol >8 mmol/L (310 mg/dL): consider familial hypercholesterolaemia' : null
+    },
+    {
+      factor: 'Diabetes',
+      value: params.diabetes === 'yes' ? 'Yes' : 'No',
+      status: params.diabetes === 'yes' ? 'major' : 'optimal'
+    }
+  ];
+
+  if (params.bmi) {
+    factors.push({
+      factor: 'BMI',
+      value: `${params.bmi} kg/m²`,
+      status: params.bmi >= 30 ? 'major' : params.bmi >= 25 ? 'elevated' : 'optimal'
+    });
+  }
+
+  return factors;
+}
+
+/**
+ * Describe the risk factor burden in words; no risk figure is given below the SCORE2 range
+ */
+function interpretRiskFactors(riskFactors) {
+  const major = riskFactors.filter(factor => factor.status === 'major').map(factor => factor.factor.toLowerCase());
+  const elevated = riskFactors.filter(factor => factor.status === 'elevated').map(factor => factor.factor.toLowerCase());
+
+  if (major.length > 0) {
+    return `Major risk factors: ${major.join(', ')}. Your 10-year risk is low at this age, but these factors add up over a lifetime, and treating them now gives the largest long-term benefit.`;
+  }
+
+  if (elevated.length > 0) {
+    return `Above optimal: ${elevated.join(', ')}. Bringing these to optimal levels now lowers your risk over a lifetime.`;
+  }
+
+  return 'All assessed risk factors are at optimal levels. Keeping them there protects your heart over a lifetime.';
+}
+
+/**
+ * Build the result for ages 30-39, below the SCORE2 range: a qualitative risk factor
+ * summary takes the place of the 10-year risk
+ * @param {Object} params - Patient parameters
+ * @returns {Object} Lifetime-only result
+ */
+export function buildLifetimeOnlyResult(params) {
+  const riskFactors = summarizeRiskFactors(params);
+  const hasMajorRiskFactor = riskFactors.some(factor => factor.status === 'major');
+
+  return {
+    lifetimeOnly: true,
+    ageNote: `SCORE2 estimates 10-year risk from age ${SCORE2_MIN_AGE}. Below that, 10-year risk is low even with high risk factor levels, so it understates the benefit of early treatment; risk factor levels are assessed instead, without a risk figure.`,
+    riskFactors,
+    nonHdlCholesterol: summarizeNonHdlCholesterol(params),
+    interpretation: interpretRiskFactors(riskFactors),
+    recommendations: generateRecommendations(params, hasMajorRiskFactor),
+    algorithm: 'ESC 2021 risk factor assessment (under 40)',
+    modelId: 'risk-factors',
+    modelVersion: '2021'
+  };
+}
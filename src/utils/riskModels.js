@@ -0,0 +1,114 @@
+// Risk Model Registry
+// Each model declares its id, version, inputs (with valid ranges) and a pure
+// compute function returning { risk, uncalibratedRisk } as fractions (0-1).
+// The UI works against calculateRisk(modelId, params) and the declared inputs,
+// so new models can be added here without touching App.jsx.
+
+import {
+  SCORE2_MODEL,
+  SCORE2_OP_MODEL,
+  SCORE2_DIABETES_MODEL,
+  PCE_MODEL,
+  buildRiskResult
+} from './score2Calculator.js';
+import { PREVENT_MODEL } from './preventCalculator.js';
+import { QRISK3_MODEL } from './qrisk3Calculator.js';
+
+const RISK_MODELS = {};
+
+/**
+ * Register a risk model
+ * @param {Object} model - Model definition
+ * @param {string} model.id - Unique model id (e.g. 'score2')
+ * @param {string} model.name - Display name (e.g. 'SCORE2')
+ * @param {string} model.version - Model version (e.g. publication year)
+ * @param {Array<Object>} model.inputs - Declared inputs: { name, label, type, required, options?, unit?, min?, max? }
+ * @param {Function} model.compute - Pure function (params) => { risk, uncalibratedRisk }
+ * @param {Function} model.buildResult - Optional (params) => result, for models with their own
+ *   risk categories; defaults to the SCORE2 result layout
+ */
+export function registerRiskModel(model) {
+  if (!model || !model.id || typeof model.compute !== 'function' || !Array.isArray(model.inputs)) {
+    throw new Error('Risk models must declare an id, inputs and a compute function');
+  }
+
+  if (RISK_MODELS[model.id]) {
+    throw new Error(`Risk model "${model.id}" is already registered`);
+  }
+
+  RISK_MODELS[model.id] = model;
+}
+
+/**
+ * Look up a registered model
+ */
+export function getRiskModel(modelId) {
+  const model = RISK_MODELS[modelId];
+
+  if (!model) {
+    throw new Error(`Unknown risk model: ${modelId}`);
+  }
+
+  return model;
+}
+
+/**
+ * List all registered models
+ */
+export function listRiskModels() {
+  return Object.values(RISK_MODELS);
+}
+
+/**
+ * Validate parameters against a model's declared inputs
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateModelInputs(modelId, params) {
+  const model = getRiskModel(modelId);
+  const errors = [];
+
+  model.inputs.forEach(input => {
+    const value = params[input.name];
+    const missing = value === undefined || value === null || value === '' || Number.isNaN(value);
+
+    if (missing) {
+      if (input.required) errors.push(`${input.label} is required for ${model.name}`);
+      return;
+    }
+
+    if (input.type === 'option' && !input.options.includes(value)) {
+      errors.push(`${input.label} must be one of: ${input.options.join(', ')}`);
+    }
+
+    if (input.type === 'number') {
+      const outOfRange = (input.min !== undefined && value < input.min) ||
+        (input.max !== undefined && value > input.max);
+
+      if (typeof value !== 'number' || outOfRange) {
+        const range = input.min !== undefined && input.max !== undefined ?
+          ` between ${input.min} and ${input.max}` : '';
+        errors.push(`${input.label} must be a number${range} for ${model.name}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Calculate risk with a registered model
+ * @param {string} modelId - Registered model id
+ * @param {Object} params - Patient parameters
+ * @returns {Object} Risk calculation results
+ */
+export function calculateRisk(modelId, params) {
+  const model = getRiskModel(modelId);
+  return model.buildResult ? model.buildResult(params) : buildRiskResult(model, params);
+}
+
+registerRiskModel(SCORE2_MODEL);
+registerRiskModel(SCORE2_OP_MODEL);
+registerRiskModel(SCORE2_DIABETES_MODEL);
+registerRiskModel(PREVENT_MODEL);
+registerRiskModel(PCE_MODEL);
+registerRiskModel(QRISK3_MODEL);
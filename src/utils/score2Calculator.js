@@ -2,225 +2,939 @@
 // Based on ESC 2021 Guidelines and SCORE2 algorithm
 // Reference: https://academic.oup.com/eurheartj/article/42/25/2439/6297709
 
+import { convertLipid } from './lipidCalculator.js';
+
 /**
  * Calculate 10-year cardiovascular risk using SCORE2 algorithm
  * @param {Object} params - Patient parameters
  * @param {number} params.age - Age in years (40-69 for SCORE2, ≥70 for SCORE2-OP)
  * @param {string} params.sex - 'male' or 'female'
  * @param {string} params.region - 'low', 'moderate', 'high', 'very-high'
- * @param {string} params.smoking - 'smoker' or 'non-smoker'
+ * @param {string} params.smoking - 'smoker' or 'non-smoker' (former smokers count as non-smokers)
+ * @param {Object} params.smokingHistory - Result of assessSmokingHistory (optional)
  * @param {number} params.systolicBP - Systolic blood pressure in mmHg
- * @param {number} params.totalCholesterol - Total cholesterol in mmol/L
+ * @param {number} params.totalCholesterol - Total cholesterol
  * @param {string} params.cholesterolUnit - 'mmol/L' or 'mg/dL'
- * @param {number} params.hdlCholesterol - HDL cholesterol (optional)
+ * @param {number} params.hdlCholesterol - HDL cholesterol
+ * @param {number} params.nonHdlCholesterol - Directly measured non-HDL cholesterol (optional, otherwise total - HDL)
  * @param {string} params.diabetes - 'yes' or 'no' (optional)
+ * @param {number} params.diabetesAgeAtDiagnosis - Age at type 2 diabetes diagnosis (required if diabetes)
+ * @param {number} params.hba1c - HbA1c (required if diabetes)
+ * @param {string} params.hba1cUnit - 'mmol/mol' or '%'
+ * @param {number} params.egfr - eGFR in mL/min/1.73m² (required if diabetes)
  * @param {number} params.bmi - BMI (optional)
- * @returns {Object} Risk calculation results
+ * @param {string} params.establishedAscvd - 'yes' or 'no'; SCORE2 does not apply with established ASCVD
+ * @param {Object} params.femaleRiskEnhancers - Pregnancy and menopause history (optional, see FEMALE_RISK_ENHANCERS)
+ * @returns {Object} Risk calculation results (calibrated and uncalibrated 10-year risk in %)
  */
 export function calculateSCORE2Risk(params) {
-  // Convert cholesterol to mmol/L if needed
-  let totalChol = params.totalCholesterol;
-  let hdlChol = params.hdlCholesterol || null;
-  
-  if (params.cholesterolUnit === 'mg/dL') {
-    totalChol = totalChol / 38.67; // Convert mg/dL to mmol/L
-    if (hdlChol) hdlChol = hdlChol / 38.67;
-  }
+  return buildRiskResult(selectSCORE2Model(params), params);
+}
 
-  // Determine if SCORE2-OP should be used (age ≥70)
-  const useScore2OP = params.age >= 70;
+/**
+ * Select the SCORE2 family model for the patient:
+ * SCORE2-OP for age ≥70, SCORE2-Diabetes for type 2 diabetes under 70, SCORE2 otherwise
+ * @param {Object} params - Patient parameters
+ * @returns {Object} Model definition
+ */
+export function selectSCORE2Model(params) {
+  if (params.age >= 70) return SCORE2_OP_MODEL;
+  if (params.diabetes === 'yes') return SCORE2_DIABETES_MODEL;
+  return SCORE2_MODEL;
+}
 
-  // Base risk calculation using simplified SCORE2 approach
-  // This is a simplified implementation based on the SCORE2 methodology
-  // In practice, the actual SCORE2 uses complex Cox regression models
-  
-  let riskScore = 0;
+/**
+ * Run a model and build the full result shown in the UI
+ * @param {Object} model - Model definition (see riskModels.js)
+ * @param {Object} params - Patient parameters
+ * @returns {Object} Risk calculation results
+ */
+export function buildRiskResult(model, params) {
+  const { risk, uncalibratedRisk } = model.compute(params);
+  const riskPercentage = risk * 100;
+  const roundedRiskPercentage = Math.round(riskPercentage * 10) / 10;
+
+  // Determine the ESC risk category for the patient's age band (on the displayed value)
+  const riskClassification = categorizeRisk(roundedRiskPercentage, params.age);
+  const riskCategory = riskClassification.category;
 
-  // Age component (strongest predictor)
-  const ageComponent = Math.log(params.age / 40) * (params.sex === 'male' ? 0.8 : 0.7);
-  riskScore += ageComponent;
+  // Calculate heart age (risk age) by inverting the model
+  const { heartAge, heartAgeOutOfRange } = calculateHeartAge(params, riskPercentage);
 
-  // Sex component
-  const sexComponent = params.sex === 'male' ? 0.5 : 0;
-  riskScore += sexComponent;
+  // Generate personalized recommendations
+  const recommendations = generateRecommendations(params, riskCategory !== 'low-to-moderate');
 
-  // Smoking component
-  const smokingComponent = params.smoking === 'smoker' ? 0.6 : 0;
-  riskScore += smokingComponent;
+  // Generate interpretation
+  const interpretation = generateInterpretation(riskPercentage, params.sex);
 
-  // Systolic BP component
-  const bpComponent = Math.log(params.systolicBP / 120) * 0.4;
-  riskScore += bpComponent;
+  return {
+    riskPercentage: roundedRiskPercentage,
+    uncalibratedRiskPercentage: Math.round(uncalibratedRisk * 1000) / 10,
+    riskCategory,
+    riskClassification,
+    heartAge,
+    heartAgeOutOfRange,
+    nonHdlCholesterol: summarizeNonHdlCholesterol(params),
+    interpretation,
+    recommendations,
+    algorithm: model.name,
+    modelId: model.id,
+    modelVersion: model.version
+  };
+}
 
-  // Total cholesterol component
-  const cholComponent = Math.log(totalChol / 5.0) * 0.3;
-  riskScore += cholComponent;
+/**
+ * Non-HDL cholesterol as reported with the result, in the unit it was entered in
+ * @returns {Object} { value, unit, source }
+ */
+export function summarizeNonHdlCholesterol(params) {
+  const nonHdlCholesterol = params.nonHdlCholesterol || params.totalCholesterol - params.hdlCholesterol;
 
-  // HDL cholesterol component (protective)
-  if (hdlChol) {
-    const hdlComponent = -Math.log(hdlChol / 1.3) * 0.2;
-    riskScore += hdlComponent;
+  return {
+    value: Math.round(nonHdlCholesterol * 10) / 10,
+    unit: params.cholesterolUnit,
+    source: params.nonHdlCholesterol ? 'measured' : 'calculated'
+  };
+}
+
+// SCORE2 sex-specific subdistribution hazard ratios (Hageman et al. 2021, Supplementary Table 2)
+// Predictors are centred: age (age - 60) / 5, SBP (sbp - 120) / 20,
+// total cholesterol (tc - 6), HDL cholesterol (hdl - 1.3) / 0.5
+const SCORE2_COEFFICIENTS = {
+  male: {
+    age: 0.3742,
+    smoking: 0.6012,
+    sbp: 0.2777,
+    diabetes: 0.6457,
+    totalCholesterol: 0.1458,
+    hdlCholesterol: -0.2698,
+    smokingAge: -0.0755,
+    sbpAge: -0.0255,
+    totalCholesterolAge: -0.0281,
+    hdlCholesterolAge: 0.0426,
+    diabetesAge: -0.0983
+  },
+  female: {
+    age: 0.4648,
+    smoking: 0.7744,
+    sbp: 0.3131,
+    diabetes: 0.8096,
+    totalCholesterol: 0.1002,
+    hdlCholesterol: -0.2606,
+    smokingAge: -0.1088,
+    sbpAge: -0.0277,
+    totalCholesterolAge: -0.0226,
+    hdlCholesterolAge: 0.0613,
+    diabetesAge: -0.1272
   }
+};
 
-  // Diabetes component (if provided)
-  if (params.diabetes === 'yes') {
-    riskScore += 0.4;
+// 10-year baseline survival at the centring values
+const SCORE2_BASELINE_SURVIVAL = {
+  male: 0.9605,
+  female: 0.9776
+};
+
+// Region-specific recalibration [scale1, scale2] applied on the cloglog scale
+const SCORE2_REGION_CALIBRATION = {
+  'low': { male: [-0.5699, 0.7476], female: [-0.7380, 0.7019] },
+  'moderate': { male: [-0.1565, 0.8009], female: [-0.3143, 0.7701] },
+  'high': { male: [0.3207, 0.9360], female: [0.5710, 0.9369] },
+  'very-high': { male: [0.5836, 0.8294], female: [0.9412, 0.8329] }
+};
+
+// SCORE2-OP coefficients (SCORE2-OP working group 2021, Supplementary Table 3)
+// Competing-risk model for age ≥70; predictors are centred per unit: age - 73,
+// SBP - 150, total cholesterol - 6, HDL cholesterol - 1.4
+const SCORE2_OP_COEFFICIENTS = {
+  male: {
+    age: 0.0634,
+    diabetes: 0.4245,
+    smoking: 0.3524,
+    sbp: 0.0094,
+    totalCholesterol: 0.0850,
+    hdlCholesterol: -0.3564,
+    diabetesAge: -0.0174,
+    smokingAge: -0.0247,
+    sbpAge: -0.0005,
+    totalCholesterolAge: 0.0073,
+    hdlCholesterolAge: 0.0091
+  },
+  female: {
+    age: 0.0789,
+    diabetes: 0.6010,
+    smoking: 0.4921,
+    sbp: 0.0102,
+    totalCholesterol: 0.0605,
+    hdlCholesterol: -0.3040,
+    diabetesAge: -0.0107,
+    smokingAge: -0.0255,
+    sbpAge: -0.0004,
+    totalCholesterolAge: -0.0009,
+    hdlCholesterolAge: 0.0154
+  }
+};
+
+// 10-year baseline survival and mean linear predictor of the derivation cohort
+const SCORE2_OP_BASELINE = {
+  male: { survival: 0.7576, meanLinearPredictor: 0.0929 },
+  female: { survival: 0.8082, meanLinearPredictor: 0.2290 }
+};
+
+// Region-specific recalibration [scale1, scale2] published for older persons
+const SCORE2_OP_REGION_CALIBRATION = {
+  'low': { male: [-0.34, 1.19], female: [-0.52, 1.01] },
+  'moderate': { male: [0.01, 1.25], female: [-0.10, 1.10] },
+  'high': { male: [0.08, 1.15], female: [0.38, 1.09] },
+  'very-high': { male: [0.05, 0.70], female: [0.38, 0.69] }
+};
+
+// SCORE2-Diabetes coefficients (SCORE2-Diabetes working group 2023, Supplementary Table 4)
+// Shares the SCORE2 centring and baseline survival, adding age at diabetes diagnosis
+// (agediag - 50) / 5, HbA1c (hba1c - 31) / 9.34 in mmol/mol and eGFR (ln(egfr) - 4.5) / 0.15
+const SCORE2_DIABETES_COEFFICIENTS = {
+  male: {
+    age: 0.5368,
+    smoking: 0.4774,
+    sbp: 0.1322,
+    diabetes: 0.6457,
+    totalCholesterol: 0.1102,
+    hdlCholesterol: -0.1087,
+    smokingAge: -0.0672,
+    sbpAge: -0.0268,
+    diabetesAge: -0.0983,
+    totalCholesterolAge: -0.0181,
+    hdlCholesterolAge: 0.0095,
+    ageAtDiagnosis: -0.0998,
+    hba1c: 0.0955,
+    egfr: -0.0591,
+    egfrSquared: 0.0058,
+    hba1cAge: -0.0134,
+    egfrAge: 0.0115
+  },
+  female: {
+    age: 0.6624,
+    smoking: 0.6139,
+    sbp: 0.1421,
+    diabetes: 0.8096,
+    totalCholesterol: 0.1127,
+    hdlCholesterol: -0.1568,
+    smokingAge: -0.1122,
+    sbpAge: -0.0167,
+    diabetesAge: -0.1272,
+    totalCholesterolAge: -0.0200,
+    hdlCholesterolAge: 0.0186,
+    ageAtDiagnosis: -0.1180,
+    hba1c: 0.1173,
+    egfr: -0.0640,
+    egfrSquared: 0.0062,
+    hba1cAge: -0.0196,
+    egfrAge: 0.0169
   }
+};
 
-  // Regional calibration factors
-  const regionalFactors = {
-    'low': 0.7,
-    'moderate': 1.0,
-    'high': 1.4,
-    'very-high': 1.8
+/**
+ * Convert a cholesterol value to mmol/L
+ */
+function cholesterolToMmol(value, unit) {
+  return convertLipid(value, 'cholesterol', unit, 'mmol/L');
+}
+
+/**
+ * Derive the lipid predictors in mmol/L. SCORE2 is defined on non-HDL cholesterol:
+ * when a directly measured non-HDL value is supplied it takes precedence and the
+ * total cholesterol entering the model is reconstructed as non-HDL + HDL.
+ * @param {Object} params - Patient parameters
+ * @returns {Object} { totalCholesterol, hdlCholesterol, nonHdlCholesterol, nonHdlSource } in mmol/L
+ */
+export function deriveLipids(params) {
+  const hdlCholesterol = cholesterolToMmol(params.hdlCholesterol, params.cholesterolUnit);
+
+  if (params.nonHdlCholesterol) {
+    const nonHdlCholesterol = cholesterolToMmol(params.nonHdlCholesterol, params.cholesterolUnit);
+    return {
+      totalCholesterol: nonHdlCholesterol + hdlCholesterol,
+      hdlCholesterol,
+      nonHdlCholesterol,
+      nonHdlSource: 'measured'
+    };
+  }
+
+  const totalCholesterol = cholesterolToMmol(params.totalCholesterol, params.cholesterolUnit);
+  return {
+    totalCholesterol,
+    hdlCholesterol,
+    nonHdlCholesterol: totalCholesterol - hdlCholesterol,
+    nonHdlSource: 'calculated'
   };
+}
+
+/**
+ * Uncalibrated 10-year risk from the SCORE2 model (fraction, 0-1)
+ */
+function calculateSCORE2UncalibratedRisk(params) {
+  const coef = SCORE2_COEFFICIENTS[params.sex] || SCORE2_COEFFICIENTS.female;
+
+  const { totalCholesterol: totalChol, hdlCholesterol: hdlChol } = deriveLipids(params);
+
+  const cage = (params.age - 60) / 5;
+  const csbp = (params.systolicBP - 120) / 20;
+  const ctchol = totalChol - 6;
+  const chdl = (hdlChol - 1.3) / 0.5;
+  const smoking = params.smoking === 'smoker' ? 1 : 0;
+  const diabetes = params.diabetes === 'yes' ? 1 : 0;
+
+  const linearPredictor =
+    coef.age * cage +
+    coef.smoking * smoking +
+    coef.sbp * csbp +
+    coef.diabetes * diabetes +
+    coef.totalCholesterol * ctchol +
+    coef.hdlCholesterol * chdl +
+    coef.smokingAge * smoking * cage +
+    coef.sbpAge * csbp * cage +
+    coef.totalCholesterolAge * ctchol * cage +
+    coef.hdlCholesterolAge * chdl * cage +
+    coef.diabetesAge * diabetes * cage;
 
-  const regionalFactor = regionalFactors[params.region] || 1.0;
-  riskScore *= regionalFactor;
+  const baselineSurvival = SCORE2_BASELINE_SURVIVAL[params.sex] || SCORE2_BASELINE_SURVIVAL.female;
 
-  // Age adjustment for SCORE2-OP
-  if (useScore2OP) {
-    riskScore *= 1.2; // Higher baseline risk for older patients
+  return 1 - Math.pow(baselineSurvival, Math.exp(linearPredictor));
+}
+
+/**
+ * Convert HbA1c to mmol/mol (IFCC) from % (DCCT) if needed
+ */
+function hba1cToMmolMol(value, unit) {
+  return unit === '%' ? (value - 2.15) * 10.929 : value;
+}
+
+/**
+ * Uncalibrated 10-year risk from the SCORE2-Diabetes model (fraction, 0-1)
+ */
+function calculateSCORE2DiabetesUncalibratedRisk(params) {
+  const coef = SCORE2_DIABETES_COEFFICIENTS[params.sex] || SCORE2_DIABETES_COEFFICIENTS.female;
+
+  const { totalCholesterol: totalChol, hdlCholesterol: hdlChol } = deriveLipids(params);
+  const hba1c = hba1cToMmolMol(params.hba1c, params.hba1cUnit);
+
+  const cage = (params.age - 60) / 5;
+  const csbp = (params.systolicBP - 120) / 20;
+  const ctchol = totalChol - 6;
+  const chdl = (hdlChol - 1.3) / 0.5;
+  const smoking = params.smoking === 'smoker' ? 1 : 0;
+  const cagediag = (params.diabetesAgeAtDiagnosis - 50) / 5;
+  const chba1c = (hba1c - 31) / 9.34;
+  const cegfr = (Math.log(params.egfr) - 4.5) / 0.15;
+
+  const linearPredictor =
+    coef.age * cage +
+    coef.smoking * smoking +
+    coef.sbp * csbp +
+    coef.diabetes +
+    coef.totalCholesterol * ctchol +
+    coef.hdlCholesterol * chdl +
+    coef.smokingAge * smoking * cage +
+    coef.sbpAge * csbp * cage +
+    coef.diabetesAge * cage +
+    coef.totalCholesterolAge * ctchol * cage +
+    coef.hdlCholesterolAge * chdl * cage +
+    coef.ageAtDiagnosis * cagediag +
+    coef.hba1c * chba1c +
+    coef.egfr * cegfr +
+    coef.egfrSquared * cegfr * cegfr +
+    coef.hba1cAge * chba1c * cage +
+    coef.egfrAge * cegfr * cage;
+
+  const baselineSurvival = SCORE2_BASELINE_SURVIVAL[params.sex] || SCORE2_BASELINE_SURVIVAL.female;
+
+  return 1 - Math.pow(baselineSurvival, Math.exp(linearPredictor));
+}
+
+/**
+ * Uncalibrated 10-year risk from the SCORE2-OP competing-risk model (fraction, 0-1)
+ */
+function calculateSCORE2OPUncalibratedRisk(params) {
+  const coef = SCORE2_OP_COEFFICIENTS[params.sex] || SCORE2_OP_COEFFICIENTS.female;
+
+  const { totalCholesterol: totalChol, hdlCholesterol: hdlChol } = deriveLipids(params);
+
+  const cage = params.age - 73;
+  const csbp = params.systolicBP - 150;
+  const ctchol = totalChol - 6;
+  const chdl = hdlChol - 1.4;
+  const smoking = params.smoking === 'smoker' ? 1 : 0;
+  const diabetes = params.diabetes === 'yes' ? 1 : 0;
+
+  const linearPredictor =
+    coef.age * cage +
+    coef.diabetes * diabetes +
+    coef.smoking * smoking +
+    coef.sbp * csbp +
+    coef.totalCholesterol * ctchol +
+    coef.hdlCholesterol * chdl +
+    coef.diabetesAge * diabetes * cage +
+    coef.smokingAge * smoking * cage +
+    coef.sbpAge * csbp * cage +
+    coef.totalCholesterolAge * ctchol * cage +
+    coef.hdlCholesterolAge * chdl * cage;
+
+  const baseline = SCORE2_OP_BASELINE[params.sex] || SCORE2_OP_BASELINE.female;
+
+  return 1 - Math.pow(baseline.survival, Math.exp(linearPredictor - baseline.meanLinearPredictor));
+}
+
+/**
+ * Recalibrate an uncalibrated risk to the target risk region
+ * risk = 1 - exp(-exp(scale1 + scale2 * ln(-ln(1 - uncalibratedRisk))))
+ */
+function recalibrateRisk(uncalibratedRisk, sex, region, calibration = SCORE2_REGION_CALIBRATION) {
+  const regionScales = calibration[region] || calibration.moderate;
+  const [scale1, scale2] = regionScales[sex] || regionScales.female;
+
+  return 1 - Math.exp(-Math.exp(scale1 + scale2 * Math.log(-Math.log(1 - uncalibratedRisk))));
+}
+
+// Inputs shared by the SCORE2 family, in the order the form presents them
+const SCORE2_CORE_INPUTS = [
+  { name: 'sex', label: 'Sex', type: 'option', options: ['male', 'female'], required: true },
+  { name: 'region', label: 'Risk region', type: 'option', options: ['low', 'moderate', 'high', 'very-high'], required: true },
+  { name: 'smoking', label: 'Smoking status', type: 'option', options: ['smoker', 'non-smoker'], required: true },
+  { name: 'systolicBP', label: 'Systolic blood pressure', type: 'number', unit: 'mmHg', min: 80, max: 250, required: true },
+  { name: 'totalCholesterol', label: 'Total cholesterol', type: 'number', unit: 'cholesterolUnit', required: true },
+  { name: 'cholesterolUnit', label: 'Cholesterol unit', type: 'option', options: ['mmol/L', 'mg/dL'], required: true },
+  { name: 'hdlCholesterol', label: 'HDL cholesterol', type: 'number', unit: 'cholesterolUnit', required: true },
+  { name: 'nonHdlCholesterol', label: 'Non-HDL cholesterol (measured)', type: 'number', unit: 'cholesterolUnit', required: false }
+];
+
+/**
+ * SCORE2: 10-year fatal and non-fatal CVD risk, apparently healthy people aged 40-69
+ */
+export const SCORE2_MODEL = {
+  id: 'score2',
+  name: 'SCORE2',
+  version: '2021',
+  reference: 'Hageman SHJ, et al. Eur Heart J. 2021;42(25):2439-2454',
+  inputs: [
+    { name: 'age', label: 'Age', type: 'number', unit: 'years', min: 40, max: 69, required: true },
+    ...SCORE2_CORE_INPUTS,
+    { name: 'diabetes', label: 'Diabetes', type: 'option', options: ['yes', 'no'], required: false }
+  ],
+  compute: (params) => {
+    const uncalibratedRisk = calculateSCORE2UncalibratedRisk(params);
+    return {
+      uncalibratedRisk,
+      risk: recalibrateRisk(uncalibratedRisk, params.sex, params.region, SCORE2_REGION_CALIBRATION)
+    };
   }
+};
 
-  // Convert to 10-year risk percentage
-  // Using exponential transformation typical of survival models
-  const baselineRisk = useScore2OP ? 0.15 : 0.08; // Higher baseline for older patients
-  let riskPercentage = (1 - Math.exp(-Math.exp(riskScore) * baselineRisk)) * 100;
+/**
+ * SCORE2-OP: 10-year CVD risk accounting for non-CVD death, people aged 70 and over
+ */
+export const SCORE2_OP_MODEL = {
+  id: 'score2-op',
+  name: 'SCORE2-OP',
+  version: '2021',
+  reference: 'SCORE2-OP working group. Eur Heart J. 2021;42(25):2455-2467',
+  inputs: [
+    { name: 'age', label: 'Age', type: 'number', unit: 'years', min: 70, max: 100, required: true },
+    ...SCORE2_CORE_INPUTS,
+    { name: 'diabetes', label: 'Diabetes', type: 'option', options: ['yes', 'no'], required: false }
+  ],
+  compute: (params) => {
+    const uncalibratedRisk = calculateSCORE2OPUncalibratedRisk(params);
+    return {
+      uncalibratedRisk,
+      risk: recalibrateRisk(uncalibratedRisk, params.sex, params.region, SCORE2_OP_REGION_CALIBRATION)
+    };
+  }
+};
 
-  // Ensure reasonable bounds
-  riskPercentage = Math.max(0.1, Math.min(50, riskPercentage));
+/**
+ * SCORE2-Diabetes: 10-year CVD risk for people with type 2 diabetes aged 40-69
+ */
+export const SCORE2_DIABETES_MODEL = {
+  id: 'score2-diabetes',
+  name: 'SCORE2-Diabetes',
+  version: '2023',
+  reference: 'SCORE2-Diabetes working group. Eur Heart J. 2023;44(28):2544-2556',
+  inputs: [
+    { name: 'age', label: 'Age', type: 'number', unit: 'years', min: 40, max: 69, required: true },
+    ...SCORE2_CORE_INPUTS,
+    { name: 'diabetesAgeAtDiagnosis', label: 'Age at diabetes diagnosis', type: 'number', unit: 'years', min: 18, max: 69, required: true },
+    { name: 'hba1c', label: 'HbA1c', type: 'number', unit: 'hba1cUnit', required: true },
+    { name: 'hba1cUnit', label: 'HbA1c unit', type: 'option', options: ['mmol/mol', '%'], required: true },
+    { name: 'egfr', label: 'eGFR', type: 'number', unit: 'mL/min/1.73m²', min: 15, max: 200, required: true }
+  ],
+  compute: (params) => {
+    const uncalibratedRisk = calculateSCORE2DiabetesUncalibratedRisk({ ...params, diabetes: 'yes' });
+    return {
+      uncalibratedRisk,
+      risk: recalibrateRisk(uncalibratedRisk, params.sex, params.region, SCORE2_REGION_CALIBRATION)
+    };
+  }
+};
 
-  // Determine risk category based on age and risk percentage
-  const riskCategory = categorizeRisk(riskPercentage, params.age);
+// Pooled Cohort Equations (Goff et al. 2013, Table A), all lipids in mg/dL.
+// Terms are on ln(age), ln(TC), ln(HDL) and ln(SBP), with SBP split by treatment;
+// the white equations are also used for other races
+const PCE_COEFFICIENTS = {
+  white: {
+    female: {
+      lnAge: -29.799, lnAgeSquared: 4.884, lnTotalCholesterol: 13.540, lnAgeLnTotalCholesterol: -3.114,
+      lnHdl: -13.578, lnAgeLnHdl: 3.149, lnTreatedSbp: 2.019, lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.957, lnAgeLnUntreatedSbp: 0, smoking: 7.574, lnAgeSmoking: -1.665, diabetes: 0.661,
+      baselineSurvival: 0.9665, meanLinearPredictor: -29.18
+    },
+    male: {
+      lnAge: 12.344, lnAgeSquared: 0, lnTotalCholesterol: 11.853, lnAgeLnTotalCholesterol: -2.664,
+      lnHdl: -7.990, lnAgeLnHdl: 1.769, lnTreatedSbp: 1.797, lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.764, lnAgeLnUntreatedSbp: 0, smoking: 7.837, lnAgeSmoking: -1.795, diabetes: 0.658,
+      baselineSurvival: 0.9144, meanLinearPredictor: 61.18
+    }
+  },
+  'african-american': {
+    female: {
+      lnAge: 17.114, lnAgeSquared: 0, lnTotalCholesterol: 0.940, lnAgeLnTotalCholesterol: 0,
+      lnHdl: -18.920, lnAgeLnHdl: 4.475, lnTreatedSbp: 29.291, lnAgeLnTreatedSbp: -6.432,
+      lnUntreatedSbp: 27.820, lnAgeLnUntreatedSbp: -6.087, smoking: 0.691, lnAgeSmoking: 0, diabetes: 0.874,
+      baselineSurvival: 0.9533, meanLinearPredictor: 86.61
+    },
+    male: {
+      lnAge: 2.469, lnAgeSquared: 0, lnTotalCholesterol: 0.302, lnAgeLnTotalCholesterol: 0,
+      lnHdl: -0.307, lnAgeLnHdl: 0, lnTreatedSbp: 1.916, lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.809, lnAgeLnUntreatedSbp: 0, smoking: 0.549, lnAgeSmoking: 0, diabetes: 0.645,
+      baselineSurvival: 0.8954, meanLinearPredictor: 19.54
+    }
+  }
+};
 
-  // Calculate heart age (simplified approach)
-  const heartAge = calculateHeartAge(params, riskPercentage);
+/**
+ * Calculate 10-year hard ASCVD risk with the Pooled Cohort Equations:
+ * risk = 1 - S10^exp(LP - mean LP)
+ */
+function calculatePCERisk(params) {
+  const coef = (PCE_COEFFICIENTS[params.race] || PCE_COEFFICIENTS.white)[params.sex];
+  const { totalCholesterol, hdlCholesterol } = deriveLipids(params);
 
-  // Generate personalized recommendations
-  const recommendations = generateRecommendations(params, riskCategory);
+  const lnAge = Math.log(params.age);
+  const lnTotalCholesterol = Math.log(convertLipid(totalCholesterol, 'cholesterol', 'mmol/L', 'mg/dL'));
+  const lnHdl = Math.log(convertLipid(hdlCholesterol, 'cholesterol', 'mmol/L', 'mg/dL'));
+  const lnSbp = Math.log(params.systolicBP);
+  const smoking = params.smoking === 'smoker' ? 1 : 0;
+  const diabetes = params.diabetes === 'yes' ? 1 : 0;
+  const sbpCoefficient = params.bpTreatment === 'yes' ?
+    coef.lnTreatedSbp + coef.lnAgeLnTreatedSbp * lnAge :
+    coef.lnUntreatedSbp + coef.lnAgeLnUntreatedSbp * lnAge;
 
-  // Generate interpretation
-  const interpretation = generateInterpretation(riskPercentage, params.sex);
+  const linearPredictor =
+    coef.lnAge * lnAge +
+    coef.lnAgeSquared * lnAge * lnAge +
+    coef.lnTotalCholesterol * lnTotalCholesterol +
+    coef.lnAgeLnTotalCholesterol * lnAge * lnTotalCholesterol +
+    coef.lnHdl * lnHdl +
+    coef.lnAgeLnHdl * lnAge * lnHdl +
+    sbpCoefficient * lnSbp +
+    coef.smoking * smoking +
+    coef.lnAgeSmoking * lnAge * smoking +
+    coef.diabetes * diabetes;
+
+  return 1 - Math.pow(coef.baselineSurvival, Math.exp(linearPredictor - coef.meanLinearPredictor));
+}
+
+/**
+ * Build the PCE result with the ACC/AHA categories (no heart age)
+ */
+function buildPCEResult(params) {
+  const { risk } = PCE_MODEL.compute(params);
+  const riskPercentage = Math.round(risk * 1000) / 10;
+  const riskClassification = categorizeAscvdRisk(riskPercentage);
+  const riskCategory = riskClassification.category;
 
   return {
-    riskPercentage: Math.round(riskPercentage * 10) / 10,
+    riskPercentage,
+    uncalibratedRiskPercentage: riskPercentage,
     riskCategory,
-    heartAge,
-    interpretation,
-    recommendations,
-    algorithm: useScore2OP ? 'SCORE2-OP' : 'SCORE2'
+    riskClassification,
+    heartAge: null,
+    heartAgeOutOfRange: null,
+    nonHdlCholesterol: summarizeNonHdlCholesterol(params),
+    interpretation: generateInterpretation(riskPercentage, params.sex),
+    recommendations: generateRecommendations(params, riskCategory === 'intermediate' || riskCategory === 'high'),
+    algorithm: PCE_MODEL.name,
+    modelId: PCE_MODEL.id,
+    modelVersion: PCE_MODEL.version
   };
 }
 
 /**
- * Categorize risk based on percentage and age
+ * ACC/AHA Pooled Cohort Equations: 10-year hard ASCVD risk (non-fatal MI,
+ * CHD death, fatal or non-fatal stroke), sex- and race-specific, ages 40-79
+ */
+export const PCE_MODEL = {
+  id: 'pce',
+  name: 'Pooled Cohort Equations',
+  version: '2013',
+  reference: 'Goff DC Jr, et al. Circulation. 2014;129(25 Suppl 2):S49-S73',
+  inputs: [
+    { name: 'age', label: 'Age', type: 'number', unit: 'years', min: 40, max: 79, required: true },
+    { name: 'sex', label: 'Sex', type: 'option', options: ['male', 'female'], required: true },
+    { name: 'race', label: 'Race', type: 'option', options: ['white', 'african-american', 'other'], required: true },
+    { name: 'smoking', label: 'Smoking status', type: 'option', options: ['smoker', 'non-smoker'], required: true },
+    { name: 'systolicBP', label: 'Systolic blood pressure', type: 'number', unit: 'mmHg', min: 90, max: 200, required: true },
+    { name: 'bpTreatment', label: 'Blood pressure treatment', type: 'option', options: ['yes', 'no'], required: true },
+    { name: 'totalCholesterol', label: 'Total cholesterol', type: 'number', unit: 'cholesterolUnit', required: true },
+    { name: 'cholesterolUnit', label: 'Cholesterol unit', type: 'option', options: ['mmol/L', 'mg/dL'], required: true },
+    { name: 'hdlCholesterol', label: 'HDL cholesterol', type: 'number', unit: 'cholesterolUnit', required: true },
+    { name: 'diabetes', label: 'Diabetes', type: 'option', options: ['yes', 'no'], required: true }
+  ],
+  compute: (params) => {
+    const risk = calculatePCERisk(params);
+    return { risk, uncalibratedRisk: risk };
+  },
+  buildResult: buildPCEResult
+};
+
+// ESC 2021 risk thresholds (%) by age band: [high from, very high from]
+const ESC_RISK_THRESHOLDS = [
+  { ageBand: '<50', maxAge: 49, high: 2.5, veryHigh: 7.5 },
+  { ageBand: '50-69', maxAge: 69, high: 5, veryHigh: 10 },
+  { ageBand: '≥70', maxAge: Infinity, high: 7.5, veryHigh: 15 }
+];
+
+// ESC 2021 risk categories and treatment-consideration statements
+// tone is the display colour shared by the gauge, badge and report
+const ESC_RISK_CATEGORIES = {
+  'low-to-moderate': {
+    label: 'Low-to-moderate risk',
+    treatment: 'Risk factor treatment is generally not recommended',
+    tone: 'green'
+  },
+  'high': {
+    label: 'High risk',
+    treatment: 'Risk factor treatment should be considered',
+    tone: 'orange'
+  },
+  'very-high': {
+    label: 'Very high risk',
+    treatment: 'Risk factor treatment is recommended',
+    tone: 'red'
+  }
+};
+
+/**
+ * Categorize risk using the ESC 2021 age-specific thresholds
+ * @param {number} riskPercentage - 10-year risk in %
+ * @param {number} age - Age in years
+ * @returns {Object} { category, label, treatment, tone, ageBand, guideline, thresholds: { high, veryHigh }, bands }
  */
-function categorizeRisk(riskPercentage, age) {
-  if (age < 50) {
-    if (riskPercentage < 2.5) return 'low';
-    if (riskPercentage < 7.5) return 'moderate';
-    if (riskPercentage < 10) return 'high';
-    return 'very-high';
-  } else {
-    if (riskPercentage < 5) return 'low';
-    if (riskPercentage < 10) return 'moderate';
-    if (riskPercentage < 15) return 'high';
-    return 'very-high';
+export function categorizeRisk(riskPercentage, age) {
+  const band = ESC_RISK_THRESHOLDS.find(threshold => age <= threshold.maxAge);
+
+  let category = 'low-to-moderate';
+  if (riskPercentage >= band.veryHigh) {
+    category = 'very-high';
+  } else if (riskPercentage >= band.high) {
+    category = 'high';
   }
+
+  return {
+    category,
+    ...ESC_RISK_CATEGORIES[category],
+    ageBand: band.ageBand,
+    guideline: `ESC 2021, age band ${band.ageBand}`,
+    thresholds: { high: band.high, veryHigh: band.veryHigh },
+    bands: [
+      { category: 'low-to-moderate', range: `<${band.high}%` },
+      { category: 'high', range: `${band.high}–<${band.veryHigh}%` },
+      { category: 'very-high', range: `≥${band.veryHigh}%` }
+    ].map(entry => ({
+      ...entry,
+      label: ESC_RISK_CATEGORIES[entry.category].label,
+      tone: ESC_RISK_CATEGORIES[entry.category].tone
+    }))
+  };
 }
 
+// Conditions that make a patient high or very high risk by definition (ESC 2021).
+// SCORE2 is only for apparently healthy people and is not used for them
+export const RISK_BY_DEFINITION_CONDITIONS = {
+  establishedAscvd: { label: 'Documented ASCVD', category: 'very-high' },
+  diabetesTargetOrganDamage: { label: 'Type 2 diabetes with target-organ damage', category: 'very-high' },
+  severeCkd: { label: 'Severe chronic kidney disease (eGFR <30 mL/min/1.73m²)', category: 'very-high' },
+  familialHypercholesterolaemia: { label: 'Familial hypercholesterolaemia', category: 'high' }
+};
+
 /**
- * Calculate heart age (simplified approach)
+ * Pre-screen for conditions that make a patient high or very high risk by definition
+ * @param {Object} params - Patient parameters
+ * @returns {Object|null} { category, label, treatment, tone, guideline, bands, reasons, summary } or null if none apply
  */
-function calculateHeartAge(params, riskPercentage) {
-  // Create a reference profile (healthy individual)
-  const referenceParams = {
-    ...params,
-    smoking: 'non-smoker',
-    systolicBP: 120,
-    totalCholesterol: 5.0,
-    diabetes: 'no'
+export function screenRiskByDefinition(params) {
+  const present = {
+    establishedAscvd: params.establishedAscvd === 'yes',
+    diabetesTargetOrganDamage: params.diabetes === 'yes' && params.diabetesTargetOrganDamage === 'yes',
+    severeCkd: typeof params.egfr === 'number' && params.egfr < 30,
+    familialHypercholesterolaemia: params.familialHypercholesterolaemia === 'yes'
   };
 
-  // Calculate reference risk directly without calling calculateSCORE2Risk
-  let referenceRiskScore = 0;
+  const reasons = Object.keys(RISK_BY_DEFINITION_CONDITIONS)
+    .filter(condition => present[condition])
+    .map(condition => ({ condition, ...RISK_BY_DEFINITION_CONDITIONS[condition] }));
 
-  // Convert cholesterol to mmol/L if needed
-  let totalChol = referenceParams.totalCholesterol;
-  let hdlChol = referenceParams.hdlCholesterol || null;
-  
-  if (referenceParams.cholesterolUnit === 'mg/dL') {
-    totalChol = totalChol / 38.67;
-    if (hdlChol) hdlChol = hdlChol / 38.67;
+  if (reasons.length === 0) return null;
+
+  const category = reasons.some(reason => reason.category === 'very-high') ? 'very-high' : 'high';
+
+  return {
+    category,
+    ...ESC_RISK_CATEGORIES[category],
+    guideline: 'ESC 2021, risk by definition',
+    bands: [],
+    reasons,
+    summary: `SCORE2 not applicable: ${reasons.map(reason => reason.label).join(', ')}`
+  };
+}
+
+// Female-specific risk enhancers (ESC 2021 risk modifiers): they are not part of SCORE2 but
+// favour treatment near a threshold and call for closer follow-up and screening
+export const FEMALE_RISK_ENHANCERS = {
+  preEclampsia: {
+    label: 'Pre-eclampsia or pregnancy-induced hypertension',
+    advice: 'After pre-eclampsia or pregnancy-induced hypertension, check blood pressure at least every year'
+  },
+  gestationalDiabetes: {
+    label: 'Gestational diabetes',
+    advice: 'After gestational diabetes, screen for type 2 diabetes (HbA1c or fasting glucose) every 1-3 years'
+  },
+  prematureMenopause: {
+    label: 'Premature menopause (before age 40)',
+    advice: 'After premature menopause, discuss hormone therapy until the usual age of menopause and keep cholesterol and blood pressure under review'
+  },
+  pcos: {
+    label: 'Polycystic ovary syndrome',
+    advice: 'With polycystic ovary syndrome, screen for glucose intolerance and dyslipidaemia regularly'
   }
+};
 
-  // Determine if SCORE2-OP should be used (age ≥70)
-  const useScore2OP = referenceParams.age >= 70;
+/**
+ * Flag the female-specific risk enhancers in the patient's history
+ * @param {Object} params - Patient parameters (femaleRiskEnhancers: { [condition]: boolean })
+ * @returns {Array<Object>} [{ condition, label, advice }], empty for men or without any
+ */
+export function identifyFemaleRiskEnhancers(params) {
+  if (params.sex !== 'female' || !params.femaleRiskEnhancers) return [];
 
-  // Age component (strongest predictor)
-  const ageComponent = Math.log(referenceParams.age / 40) * (referenceParams.sex === 'male' ? 0.8 : 0.7);
-  referenceRiskScore += ageComponent;
+  return Object.keys(FEMALE_RISK_ENHANCERS)
+    .filter(condition => params.femaleRiskEnhancers[condition])
+    .map(condition => ({ condition, ...FEMALE_RISK_ENHANCERS[condition] }));
+}
 
-  // Sex component
-  const sexComponent = referenceParams.sex === 'male' ? 0.5 : 0;
-  referenceRiskScore += sexComponent;
+/**
+ * Build the result for a patient who is high or very high risk by definition:
+ * the category and its reasons take the place of a SCORE2 percentage
+ * @param {Object} params - Patient parameters
+ * @param {Object} screen - Result of screenRiskByDefinition
+ * @returns {Object} Risk-by-definition result
+ */
+export function buildRiskByDefinitionResult(params, screen) {
+  return {
+    scoreNotApplicable: true,
+    riskByDefinition: screen,
+    riskPercentage: null,
+    riskCategory: screen.category,
+    riskClassification: screen,
+    heartAge: null,
+    heartAgeOutOfRange: null,
+    nonHdlCholesterol: summarizeNonHdlCholesterol(params),
+    interpretation: `${screen.summary}. These conditions put you at ${screen.label.toLowerCase()} without a risk calculation, and a SCORE2 percentage would underestimate it.`,
+    recommendations: generateRecommendations(params, true),
+    algorithm: 'ESC 2021 risk by definition',
+    modelId: 'risk-by-definition',
+    modelVersion: '2021'
+  };
+}
 
-  // Smoking component (non-smoker = 0)
-  const smokingComponent = 0;
-  referenceRiskScore += smokingComponent;
+/**
+ * Describe an adjustment applied to a SCORE2 family risk after the model, with the
+ * ESC category before and after
+ * @param {Object} base - { riskPercentage, riskClassification, label } the adjustment starts from
+ * @param {number} adjustedRisk - Adjusted 10-year risk in %
+ * @param {number} age - Age in years
+ * @param {Object} adjustment - { id, label, description }, e.g. description '× 1.3 South Asian'
+ * @returns {Object} Adjustment with unadjusted/adjusted risk and classification, categoryChanged and summary
+ */
+export function buildRiskAdjustment(base, adjustedRisk, age, adjustment) {
+  const roundedRisk = Math.round(Math.min(adjustedRisk, 100) * 10) / 10;
+  const adjustedClassification = categorizeRisk(roundedRisk, age);
 
-  // Systolic BP component (120 mmHg)
-  const bpComponent = Math.log(120 / 120) * 0.4; // This equals 0
-  referenceRiskScore += bpComponent;
+  return {
+    ...adjustment,
+    unadjustedRisk: base.riskPercentage,
+    adjustedRisk: roundedRisk,
+    unadjustedClassification: base.riskClassification,
+    adjustedClassification,
+    categoryChanged: adjustedClassification.category !== base.riskClassification.category,
+    summary: `${base.label} ${base.riskPercentage}% ${adjustment.description} = ${roundedRisk}%`
+  };
+}
 
-  // Total cholesterol component (5.0 mmol/L)
-  const cholComponent = Math.log(5.0 / 5.0) * 0.3; // This equals 0
-  referenceRiskScore += cholComponent;
+/**
+ * Apply post-model adjustments in turn, each starting from the previous adjusted risk
+ * @param {Object} riskResult - SCORE2 family result
+ * @param {Array<Function>} steps - Functions (base) => adjustment or null when not applicable
+ * @returns {Array<Object>} Applied adjustments in order (see buildRiskAdjustment)
+ */
+export function applyRiskAdjustments(riskResult, steps) {
+  const adjustments = [];
+  let base = {
+    riskPercentage: riskResult.riskPercentage,
+    riskClassification: riskResult.riskClassification,
+    label: riskResult.algorithm
+  };
 
-  // HDL cholesterol component (protective)
-  if (hdlChol) {
-    const hdlComponent = -Math.log(hdlChol / 1.3) * 0.2;
-    referenceRiskScore += hdlComponent;
-  }
+  steps.forEach(step => {
+    const adjustment = step(base);
+    if (!adjustment) return;
 
-  // No diabetes for reference
-  // referenceRiskScore += 0;
+    adjustments.push(adjustment);
+    base = {
+      riskPercentage: adjustment.adjustedRisk,
+      riskClassification: adjustment.adjustedClassification,
+      label: 'Adjusted'
+    };
+  });
 
-  // Regional calibration factors
-  const regionalFactors = {
-    'low': 0.7,
-    'moderate': 1.0,
-    'high': 1.4,
-    'very-high': 1.8
+  return adjustments;
+}
+
+// ACC/AHA 10-year ASCVD risk categories (2018 cholesterol / 2019 primary prevention guidelines)
+const ACC_AHA_RISK_CATEGORIES = [
+  { category: 'low', label: 'Low risk', range: '<5%', upTo: 5, tone: 'green',
+    treatment: 'Emphasize lifestyle to reduce risk factors' },
+  { category: 'borderline', label: 'Borderline risk', range: '5–<7.5%', upTo: 7.5, tone: 'yellow',
+    treatment: 'Discuss statin therapy if risk-enhancing factors are present' },
+  { category: 'intermediate', label: 'Intermediate risk', range: '7.5–<20%', upTo: 20, tone: 'orange',
+    treatment: 'Moderate-intensity statin is reasonable after a risk discussion' },
+  { category: 'high', label: 'High risk', range: '≥20%', upTo: Infinity, tone: 'red',
+    treatment: 'Statin therapy is recommended' }
+];
+
+/**
+ * Categorize 10-year ASCVD risk using the ACC/AHA thresholds (PCE, PREVENT)
+ * @param {number} ascvdRiskPercentage - 10-year ASCVD risk in %
+ * @returns {Object} { category, label, range, treatment, tone, guideline, bands }
+ */
+export function categorizeAscvdRisk(ascvdRiskPercentage) {
+  const { category, label, range, treatment, tone } =
+    ACC_AHA_RISK_CATEGORIES.find(band => ascvdRiskPercentage < band.upTo);
+
+  return {
+    category,
+    label,
+    range,
+    treatment,
+    tone,
+    guideline: 'ACC/AHA, 10-year ASCVD risk',
+    bands: ACC_AHA_RISK_CATEGORIES.map(({ category, label, range, tone }) => ({ category, label, range, tone }))
   };
+}
+
+// Optimal risk factor profile used for heart age (ESC "risk age")
+const HEART_AGE_REFERENCE_PROFILE = {
+  smoking: 'non-smoker',
+  systolicBP: 120,
+  totalCholesterol: 5.0,
+  cholesterolUnit: 'mmol/L',
+  hdlCholesterol: 1.3,
+  nonHdlCholesterol: null,
+  diabetes: 'no'
+};
 
-  const regionalFactor = regionalFactors[referenceParams.region] || 1.0;
-  referenceRiskScore *= regionalFactor;
+// Age range covered by the SCORE2 / SCORE2-OP models
+const HEART_AGE_RANGE = { min: 40, max: 100 };
 
-  // Age adjustment for SCORE2-OP
-  if (useScore2OP) {
-    referenceRiskScore *= 1.2;
+/**
+ * Calculate heart age: the age at which a person with optimal risk factors
+ * reaches the patient's calculated risk. Solved numerically by bisection and
+ * may be younger than chronological age.
+ * The reference risk jumps where SCORE2 hands over to SCORE2-OP at 70, so each model's
+ * age range is searched separately. Where both ranges reach the risk, the patient's own
+ * model is used; a risk that falls in the jump between them gives the switch age.
+ * @returns {Object} { heartAge, heartAgeOutOfRange } where heartAge is null and
+ *   heartAgeOutOfRange is 'below' or 'above' when no solution exists within the model's age range
+ */
+function calculateHeartAge(params, riskPercentage) {
+  const segments = [
+    { model: SCORE2_MODEL, min: HEART_AGE_RANGE.min, max: 70 },
+    { model: SCORE2_OP_MODEL, min: 70, max: HEART_AGE_RANGE.max }
+  ].map(segment => {
+    const riskAt = (age) => segment.model.compute({ ...params, ...HEART_AGE_REFERENCE_PROFILE, age }).risk * 100;
+    return { ...segment, riskAt, minRisk: riskAt(segment.min), maxRisk: riskAt(segment.max) };
+  });
+
+  if (riskPercentage < Math.min(...segments.map(segment => segment.minRisk))) {
+    return { heartAge: null, heartAgeOutOfRange: 'below' };
   }
 
-  // Convert to 10-year risk percentage
-  const baselineRisk = useScore2OP ? 0.15 : 0.08;
-  let referenceRiskPercentage = (1 - Math.exp(-Math.exp(referenceRiskScore) * baselineRisk)) * 100;
+  if (riskPercentage > Math.max(...segments.map(segment => segment.maxRisk))) {
+    return { heartAge: null, heartAgeOutOfRange: 'above' };
+  }
+
+  const searchOrder = params.age >= 70 ? [...segments].reverse() : segments;
+  const segment = searchOrder.find(({ minRisk, maxRisk }) => riskPercentage >= minRisk && riskPercentage <= maxRisk);
 
-  // Ensure reasonable bounds
-  referenceRiskPercentage = Math.max(0.1, Math.min(50, referenceRiskPercentage));
+  if (!segment) {
+    return { heartAge: segments.find(({ minRisk }) => minRisk > riskPercentage).min, heartAgeOutOfRange: null };
+  }
 
-  // Estimate heart age based on risk difference
-  const riskRatio = riskPercentage / referenceRiskPercentage;
-  const heartAge = Math.round(params.age + (riskRatio - 1) * 10);
+  // Reference risk increases with age within each model, so bisect to 0.01 years
+  let low = segment.min;
+  let high = segment.max;
 
-  return Math.max(params.age, Math.min(100, heartAge));
+  while (high - low > 0.01) {
+    const mid = (low + high) / 2;
+    if (segment.riskAt(mid) < riskPercentage) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return { heartAge: Math.round((low + high) / 2), heartAgeOutOfRange: null };
+}
+
+/**
+ * Format heart age for display, including out-of-range results
+ * @param {Object} results - Result of calculateSCORE2Risk / calculateRisk
+ * @returns {string} e.g. '52 years' or 'Below 40 years (outside the model's age range)'
+ */
+export function formatHeartAge(results) {
+  const range = results.heartAgeRange || HEART_AGE_RANGE;
+
+  if (results.heartAgeOutOfRange === 'below') {
+    return `Below ${range.min} years (outside the model's age range)`;
+  }
+
+  if (results.heartAgeOutOfRange === 'above') {
+    return `Above ${range.max} years (outside the model's age range)`;
+  }
+
+  if (results.heartAge === null || results.heartAge === undefined) {
+    return `Not available for ${results.algorithm}`;
+  }
+
+  return `${results.heartAge} years`;
 }
 
 /**
  * Generate personalized recommendations
+ * @param {Object} params - Patient parameters
+ * @param {boolean} isElevatedRisk - Whether the model's risk category warrants active risk factor management
+ * @returns {Array<string>} Recommendations
  */
-function generateRecommendations(params, riskCategory) {
+export function generateRecommendations(params, isElevatedRisk) {
   const recommendations = [];
 
   // Smoking recommendations
@@ -229,6 +943,23 @@ function generateRecommendations(params, riskCategory) {
     recommendations.push('Consider nicotine replacement therapy or consult your doctor about smoking cessation aids');
   }
 
+  // Smoking history: former smokers, e-cigarettes and lung cancer screening
+  const smokingHistory = params.smokingHistory;
+  if (smokingHistory?.status === 'former-smoker') {
+    recommendations.push('Stay smoke-free - the risk of relapse is highest in the first year after quitting');
+    if (smokingHistory.recentQuit) {
+      recommendations.push('Your risk keeps falling for several years after quitting; this estimate already counts you as a non-smoker, so it may be slightly low until then');
+    }
+  }
+  if (smokingHistory?.vaping) {
+    recommendations.push(params.smoking === 'smoker' ?
+      'If you use e-cigarettes to quit, stop smoking completely rather than using both' :
+      'Aim to stop vaping as well - e-cigarettes are not free of harm to the heart and lungs');
+  }
+  if (smokingHistory?.lungScreening) {
+    recommendations.push(`With ${smokingHistory.packYears} pack-years, ask your doctor about lung cancer screening`);
+  }
+
   // Blood pressure recommendations
   if (params.systolicBP > 140) {
     recommendations.push('Discuss blood pressure management with your doctor');
@@ -239,9 +970,8 @@ function generateRecommendations(params, riskCategory) {
   }
 
   // Cholesterol recommendations
-  const totalCholMmol = params.cholesterolUnit === 'mg/dL' ? 
-    params.totalCholesterol / 38.67 : params.totalCholesterol;
-  
+  const { totalCholesterol: totalCholMmol } = deriveLipids(params);
+
   if (totalCholMmol > 5.5) {
     recommendations.push('Discuss cholesterol management with your doctor');
     recommendations.push('Follow a Mediterranean-style diet rich in fruits, vegetables, and healthy fats');
@@ -255,19 +985,27 @@ function generateRecommendations(params, riskCategory) {
     recommendations.push('Consider additional cardiovascular protection medications');
   }
 
+  // Female-specific risk enhancers
+  const riskEnhancers = identifyFemaleRiskEnhancers(params);
+  if (riskEnhancers.length > 0) {
+    recommendations.push('Your pregnancy or menopause history raises cardiovascular risk beyond this estimate: take it into account when deciding on preventive treatment');
+    riskEnhancers.forEach(enhancer => recommendations.push(enhancer.advice));
+  }
+
   // General lifestyle recommendations
-  if (riskCategory === 'moderate' || riskCategory === 'high' || riskCategory === 'very-high') {
+  if (isElevatedRisk) {
     recommendations.push('Engage in regular physical activity (at least 150 minutes of moderate exercise per week)');
     recommendations.push('Maintain a healthy weight (BMI 18.5-24.9)');
     recommendations.push('Limit alcohol consumption');
     recommendations.push('Consider low-dose aspirin therapy (consult your doctor)');
   }
 
-  // Low risk recommendations
-  if (riskCategory === 'low') {
+  // Low-to-moderate risk recommendations
+  if (!isElevatedRisk) {
     recommendations.push('Maintain your current healthy lifestyle');
     recommendations.push('Continue regular physical activity and healthy diet');
-    recommendations.push('Regular health check-ups every 2-3 years');
+    recommendations.push(riskEnhancers.length > 0 ?
+      'Yearly health check-ups, given your risk enhancers' : 'Regular health check-ups every 2-3 years');
   }
 
   return recommendations;
@@ -283,24 +1021,32 @@ function generateInterpretation(riskPercentage, sex) {
   return `This means out of 100 ${pronoun} like you, about ${roundedRisk} will have a heart attack or stroke in the next 10 years.`;
 }
 
+// SCORE2 is derived from age 40; ages 30-39 get a risk factor assessment only
+export const SCORE2_MIN_AGE = 40;
+export const LIFETIME_ONLY_MIN_AGE = 30;
+
+// eGFR accepted for the SCORE2 family: severe CKD (eGFR <30) is screened out as very high
+// risk by definition before SCORE2 or SCORE2-Diabetes is run
+export const EGFR_RANGE = { min: 5, max: 200 };
+
 /**
- * Validate input parameters
+ * Whether the age is below the SCORE2 range but eligible for a risk factor assessment
  */
-export function validateSCORE2Inputs(params) {
-  const errors = [];
+export function isLifetimeOnlyAge(age) {
+  return age >= LIFETIME_ONLY_MIN_AGE && age < SCORE2_MIN_AGE;
+}
 
-  if (!params.age || params.age < 40 || params.age > 100) {
-    errors.push('Age must be between 40 and 100 years');
-  }
+/**
+ * Validate the risk factors used by every assessment, including the recommendations
+ * and LDL-C goal of a risk-by-definition result
+ */
+function validateRiskFactorInputs(params) {
+  const errors = [];
 
   if (!params.sex || !['male', 'female'].includes(params.sex)) {
     errors.push('Sex must be specified as male or female');
   }
 
-  if (!params.region || !['low', 'moderate', 'high', 'very-high'].includes(params.region)) {
-    errors.push('Risk region must be specified');
-  }
-
   if (!params.smoking || !['smoker', 'non-smoker'].includes(params.smoking)) {
     errors.push('Smoking status must be specified');
   }
@@ -313,6 +1059,78 @@ export function validateSCORE2Inputs(params) {
     errors.push('Total cholesterol must be specified and greater than 0');
   }
 
+  // SCORE2 is defined on non-HDL cholesterol, so HDL is part of the core profile
+  if (!params.hdlCholesterol || params.hdlCholesterol <= 0) {
+    errors.push('HDL cholesterol is required: SCORE2 uses non-HDL cholesterol (total minus HDL)');
+  } else if (params.totalCholesterol && params.hdlCholesterol >= params.totalCholesterol) {
+    errors.push('HDL cholesterol must be lower than total cholesterol');
+  }
+
+  if (params.nonHdlCholesterol !== null && params.nonHdlCholesterol !== undefined && params.nonHdlCholesterol <= 0) {
+    errors.push('Measured non-HDL cholesterol must be greater than 0');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the inputs for established ASCVD: very high risk by definition, so no model is run
+ */
+export function validateRiskByDefinitionInputs(params) {
+  const errors = [];
+
+  if (!params.age || params.age < 18 || params.age > 100) {
+    errors.push('Age must be between 18 and 100 years');
+  }
+
+  if (typeof params.egfr === 'number' && (params.egfr < EGFR_RANGE.min || params.egfr > EGFR_RANGE.max)) {
+    errors.push(`eGFR must be between ${EGFR_RANGE.min} and ${EGFR_RANGE.max} mL/min/1.73m²`);
+  }
+
+  return [...errors, ...validateRiskFactorInputs(params)];
+}
+
+/**
+ * Validate input parameters
+ */
+export function validateSCORE2Inputs(params) {
+  const errors = [];
+
+  // SCORE2 is only for apparently healthy people
+  if (params.establishedAscvd === 'yes') {
+    errors.push('SCORE2 is only for people without cardiovascular disease: established ASCVD is very high risk by definition');
+  }
+
+  // Ages 30-39 are below the SCORE2 range and get a risk factor assessment instead
+  if (!params.age || params.age < LIFETIME_ONLY_MIN_AGE || params.age > 100) {
+    errors.push(`Age must be between ${LIFETIME_ONLY_MIN_AGE} and 100 years (SCORE2 starts at ${SCORE2_MIN_AGE}; younger patients get a risk factor assessment)`);
+  }
+
+  if (!params.region || !['low', 'moderate', 'high', 'very-high'].includes(params.region)) {
+    errors.push('Risk region must be specified');
+  }
+
+  errors.push(...validateRiskFactorInputs(params));
+
+  // SCORE2-Diabetes inputs (type 2 diabetes, age 40-69)
+  if (params.diabetes === 'yes' && params.age < 70) {
+    if (!params.diabetesAgeAtDiagnosis || params.diabetesAgeAtDiagnosis < 18 ||
+        params.diabetesAgeAtDiagnosis > params.age) {
+      errors.push('Age at diabetes diagnosis must be between 18 years and the current age');
+    }
+
+    if (!params.hba1c || params.hba1c <= 0) {
+      errors.push('HbA1c must be specified and greater than 0');
+    }
+
+    if (!params.egfr || params.egfr < EGFR_RANGE.min || params.egfr > EGFR_RANGE.max) {
+      errors.push(`eGFR must be between ${EGFR_RANGE.min} and ${EGFR_RANGE.max} mL/min/1.73m²`);
+    }
+  } else if (typeof params.egfr === 'number' && (params.egfr < EGFR_RANGE.min || params.egfr > EGFR_RANGE.max)) {
+    // Optional otherwise: used to screen for severe CKD
+    errors.push(`eGFR must be between ${EGFR_RANGE.min} and ${EGFR_RANGE.max} mL/min/1.73m²`);
+  }
+
   return errors;
 }
 
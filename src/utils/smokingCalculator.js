@@ -0,0 +1,152 @@
+// Smoking History
+// Never / former / current smoking with quit date, pack-years and e-cigarette use, and the
+// projected risk in the years after quitting
+// The risk models only know smoker / non-smoker: like SCORE2, former smokers count as non-smokers.
+// After quitting, the excess risk of smoking is assumed to fade exponentially (half-life ~3.5
+// years), approaching the never-smoker risk after 10-15 years
+// References: Duncan MS, et al. Association of smoking cessation with subsequent risk of
+// cardiovascular disease. JAMA. 2019;322(7):642-650
+// 2021 ESC Guidelines on cardiovascular disease prevention (smoking intervention)
+
+import { calculateRisk, getRiskModel } from './riskModels.js';
+import { selectSCORE2Model } from './score2Calculator.js';
+
+export const SMOKING_STATUSES = {
+  'non-smoker': 'Never smoked',
+  'former-smoker': 'Former smoker',
+  'smoker': 'Current smoker'
+};
+
+// Excess hazard remaining t years after quitting: exp(-t / 5)
+const EXCESS_RISK_DECAY_YEARS = 5;
+
+// Within this many years of quitting the risk is still noticeably above a never-smoker's
+const RECENT_QUIT_YEARS = 5;
+
+// Lung cancer screening: ≥20 pack-years, current smokers or quit within 15 years (USPSTF 2021)
+export const LUNG_SCREENING_PACK_YEARS = 20;
+const LUNG_SCREENING_QUIT_YEARS = 15;
+
+// Years after quitting shown in the projection
+const PROJECTION_YEARS = [1, 2, 5, 10, 15];
+
+const SCORE2_FAMILY = ['score2', 'score2-op', 'score2-diabetes'];
+
+/**
+ * Smoking status as the risk models use it: only current smokers count as smokers
+ */
+export function modelSmokingStatus(status) {
+  if (!status) return '';
+  return status === 'smoker' ? 'smoker' : 'non-smoker';
+}
+
+/**
+ * Pack-years: packs of 20 cigarettes a day times years smoked
+ */
+export function calculatePackYears(cigarettesPerDay, yearsSmoked) {
+  if (!cigarettesPerDay || !yearsSmoked) return null;
+  return Math.round(cigarettesPerDay / 20 * yearsSmoked * 10) / 10;
+}
+
+/**
+ * Fraction of the excess risk of smoking that remains a given number of years after quitting
+ */
+export function residualSmokingRisk(yearsSinceQuitting) {
+  return Math.exp(-Math.max(0, yearsSinceQuitting) / EXCESS_RISK_DECAY_YEARS);
+}
+
+/**
+ * Summarise the smoking history
+ * @param {Object} history - { status, quitDate ('YYYY-MM'), cigarettesPerDay, yearsSmoked, vaping }
+ * @param {Date} today - Reference date (defaults to now)
+ * @returns {Object} { status, label, quitDate, yearsSinceQuitting, recentQuit, cigarettesPerDay,
+ *   yearsSmoked, packYears, vaping, lungScreening, summary }
+ */
+export function assessSmokingHistory(history, today = new Date()) {
+  const isFormer = history.status === 'former-smoker';
+  const yearsSinceQuitting = isFormer && history.quitDate ?
+    Math.max(0, Math.round((today - new Date(`${history.quitDate}-01`)) / (365.25 * 24 * 3600 * 1000) * 10) / 10) : null;
+  const packYears = history.status === 'non-smoker' ? null :
+    calculatePackYears(history.cigarettesPerDay, history.yearsSmoked);
+  const vaping = history.vaping === 'yes';
+
+  const details = [
+    yearsSinceQuitting !== null && `quit ${yearsSinceQuitting} years ago`,
+    packYears !== null && `${packYears} pack-years`,
+    vaping && 'uses e-cigarettes'
+  ].filter(Boolean);
+
+  return {
+    status: history.status,
+    label: SMOKING_STATUSES[history.status] || 'Not specified',
+    quitDate: isFormer ? history.quitDate || null : null,
+    yearsSinceQuitting,
+    recentQuit: yearsSinceQuitting !== null && yearsSinceQuitting < RECENT_QUIT_YEARS,
+    cigarettesPerDay: history.cigarettesPerDay,
+    yearsSmoked: history.yearsSmoked,
+    packYears,
+    vaping,
+    lungScreening: packYears !== null && packYears >= LUNG_SCREENING_PACK_YEARS &&
+      (history.status === 'smoker' || (yearsSinceQuitting !== null && yearsSinceQuitting < LUNG_SCREENING_QUIT_YEARS)),
+    summary: `${SMOKING_STATUSES[history.status] || 'Not specified'}${details.length ? ` (${details.join(', ')})` : ''}`
+  };
+}
+
+/**
+ * Validate the smoking history inputs
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateSmokingHistory(history, age, today = new Date()) {
+  const errors = [];
+
+  if (history.status === 'former-smoker' && history.quitDate && new Date(`${history.quitDate}-01`) > today) {
+    errors.push('Quit date cannot be in the future');
+  }
+
+  if (history.cigarettesPerDay !== null && (history.cigarettesPerDay < 1 || history.cigarettesPerDay > 100)) {
+    errors.push('Cigarettes per day must be between 1 and 100');
+  }
+
+  if (history.yearsSmoked !== null && (history.yearsSmoked < 0 || (age && history.yearsSmoked > age))) {
+    errors.push('Years smoked must be between 0 and the current age');
+  }
+
+  return errors;
+}
+
+/**
+ * Project the 10-year risk in the years after quitting, against continuing to smoke
+ * The excess cumulative hazard of smoking fades with residualSmokingRisk; everyone ages meanwhile
+ * @param {string} modelId - Model that produced the current risk
+ * @param {Object} params - Patient parameters of a current smoker
+ * @returns {Array<Object>} [{ years, age, continuingRisk, quitRisk, neverSmokerRisk }] (risks in %)
+ */
+export function projectRiskAfterQuitting(modelId, params) {
+  const isScore2Family = SCORE2_FAMILY.includes(modelId);
+  // Project only within the model's age range (for the SCORE2 family, up to the SCORE2-OP limit)
+  const ageInput = getRiskModel(isScore2Family ? 'score2-op' : modelId).inputs.find(input => input.name === 'age');
+  const maxAge = ageInput?.max ?? Infinity;
+
+  return PROJECTION_YEARS
+    .filter(years => params.age + years <= maxAge)
+    .map(years => {
+      const age = params.age + years;
+      // The SCORE2 family moves on to SCORE2-OP at 70
+      const projectedModelId = isScore2Family ? selectSCORE2Model({ ...params, age }).id : modelId;
+      const risk = smoking => calculateRisk(projectedModelId, { ...params, age, smoking }).riskPercentage / 100;
+
+      const continuingRisk = risk('smoker');
+      const neverSmokerRisk = risk('non-smoker');
+      const cumulativeHazard = value => -Math.log(1 - value);
+      const quitHazard = cumulativeHazard(neverSmokerRisk) +
+        residualSmokingRisk(years) * (cumulativeHazard(continuingRisk) - cumulativeHazard(neverSmokerRisk));
+
+      return {
+        years,
+        age,
+        continuingRisk: Math.round(continuingRisk * 1000) / 10,
+        quitRisk: Math.round((1 - Math.exp(-quitHazard)) * 1000) / 10,
+        neverSmokerRisk: Math.round(neverSmokerRisk * 1000) / 10
+      };
+    });
+}
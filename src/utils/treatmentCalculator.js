@@ -0,0 +1,183 @@
+// Current Treatment and Estimated Untreated Risk
+// SCORE2 and the other models were derived on untreated values: for patients already on a
+// statin or blood pressure medication, the pre-treatment cholesterol and SBP are estimated from
+// the expected drug effects and the risk is recalculated on them
+// References: 2018 AHA/ACC Guideline on the Management of Blood Cholesterol (statin intensity)
+// Law MR, et al. Use of blood pressure lowering drugs in the prevention of cardiovascular
+// disease: meta-analysis of 147 randomised trials. BMJ. 2009;338:b1665
+
+import { calculateRisk } from './riskModels.js';
+import { calculateLipidProfile } from './lipidCalculator.js';
+
+// Statin intensity by drug and daily dose (mg)
+export const STATINS = {
+  atorvastatin: { label: 'Atorvastatin', doses: { 10: 'moderate', 20: 'moderate', 40: 'high', 80: 'high' } },
+  rosuvastatin: { label: 'Rosuvastatin', doses: { 5: 'moderate', 10: 'moderate', 20: 'high', 40: 'high' } },
+  simvastatin: { label: 'Simvastatin', doses: { 10: 'low', 20: 'moderate', 40: 'moderate' } },
+  pravastatin: { label: 'Pravastatin', doses: { 10: 'low', 20: 'low', 40: 'moderate', 80: 'moderate' } },
+  pitavastatin: { label: 'Pitavastatin', doses: { 1: 'low', 2: 'moderate', 4: 'moderate' } }
+};
+
+// Typical LDL-C reduction (%) by statin intensity, as in the LDL-C goal therapy steps
+const STATIN_INTENSITIES = {
+  low: { label: 'Low-intensity statin', ldlReduction: 20 },
+  moderate: { label: 'Moderate-intensity statin', ldlReduction: 30 },
+  high: { label: 'High-intensity statin', ldlReduction: 50 }
+};
+
+// Add-on therapies: further reduction (%) of the LDL-C remaining on a statin
+export const LIPID_ADD_ONS = {
+  ezetimibe: { label: 'Ezetimibe', ldlReduction: 30 },
+  pcsk9: { label: 'PCSK9 inhibitor', ldlReduction: 60 }
+};
+
+// Blood pressure drug classes; SBP reductions add up across classes (Law et al.)
+export const BP_DRUG_CLASSES = {
+  aceArb: 'ACE inhibitor / ARB',
+  ccb: 'Calcium channel blocker',
+  thiazide: 'Thiazide / thiazide-like diuretic',
+  betaBlocker: 'Beta-blocker',
+  other: 'Other antihypertensive'
+};
+
+// SBP reduction (mmHg) per drug class by dose, relative to the standard dose
+export const BP_DOSES = {
+  half: { label: 'Half standard dose', sbpReduction: 7 },
+  standard: { label: 'Standard dose', sbpReduction: 9 },
+  double: { label: 'Double standard dose', sbpReduction: 11 }
+};
+
+/**
+ * Summarise the lipid-lowering treatment and its expected LDL-C reduction
+ * @param {Object} treatment - { statin, statinDose, ezetimibe, pcsk9 }
+ * @returns {Object|null} { statin, intensity, addOns, ldlReduction (%), summary } or null without treatment
+ */
+export function summarizeLipidLowering(treatment) {
+  const statin = STATINS[treatment.statin];
+  const intensity = statin ? statin.doses[treatment.statinDose] : null;
+  const addOns = Object.keys(LIPID_ADD_ONS).filter(addOn => treatment[addOn]);
+
+  if (!intensity && addOns.length === 0) return null;
+
+  const remaining = addOns.reduce((fraction, addOn) => fraction * (1 - LIPID_ADD_ONS[addOn].ldlReduction / 100),
+    intensity ? 1 - STATIN_INTENSITIES[intensity].ldlReduction / 100 : 1);
+
+  return {
+    statin: intensity ? `${statin.label} ${treatment.statinDose} mg` : null,
+    intensity: intensity ? STATIN_INTENSITIES[intensity].label : null,
+    addOns: addOns.map(addOn => LIPID_ADD_ONS[addOn].label),
+    ldlReduction: Math.round((1 - remaining) * 100),
+    summary: [
+      intensity && `${statin.label} ${treatment.statinDose} mg (${STATIN_INTENSITIES[intensity].label.toLowerCase()})`,
+      ...addOns.map(addOn => LIPID_ADD_ONS[addOn].label)
+    ].filter(Boolean).join(' + ')
+  };
+}
+
+/**
+ * Summarise the blood pressure treatment and its expected SBP reduction
+ * @param {Object} bpDrugs - { [drugClass]: dose ('half' | 'standard' | 'double') or '' }
+ * @returns {Object|null} { drugs, sbpReduction (mmHg), summary } or null without treatment
+ */
+export function summarizeBpLowering(bpDrugs = {}) {
+  const drugs = Object.keys(BP_DRUG_CLASSES)
+    .filter(drugClass => BP_DOSES[bpDrugs[drugClass]])
+    .map(drugClass => ({ drugClass, label: BP_DRUG_CLASSES[drugClass], dose: BP_DOSES[bpDrugs[drugClass]].label }));
+
+  if (drugs.length === 0) return null;
+
+  return {
+    drugs,
+    sbpReduction: Object.keys(BP_DRUG_CLASSES)
+      .reduce((total, drugClass) => total + (BP_DOSES[bpDrugs[drugClass]]?.sbpReduction || 0), 0),
+    summary: drugs.map(drug => `${drug.label} (${drug.dose.toLowerCase()})`).join(', ')
+  };
+}
+
+/**
+ * Estimate the untreated total cholesterol and SBP from the current values and treatment
+ * LDL-C is scaled back by the expected reduction and the difference added to total cholesterol;
+ * without an LDL-C, non-HDL cholesterol is scaled instead. HDL cholesterol is left unchanged.
+ * @param {Object} params - Patient parameters (current values, in params.cholesterolUnit)
+ * @param {Object} lipidLowering - Result of summarizeLipidLowering
+ * @param {Object} bpLowering - Result of summarizeBpLowering
+ * @returns {Object} { totalCholesterol, systolicBP, ldlCholesterol }
+ */
+export function estimateUntreatedValues(params, lipidLowering, bpLowering) {
+  const round = value => params.cholesterolUnit === 'mg/dL' ? Math.round(value) : Math.round(value * 10) / 10;
+  let totalCholesterol = params.totalCholesterol;
+  let ldlCholesterol = null;
+
+  if (lipidLowering) {
+    const remaining = 1 - lipidLowering.ldlReduction / 100;
+    const ldl = calculateLipidProfile(params).preferredLdl?.value;
+
+    if (ldl) {
+      ldlCholesterol = round(ldl / remaining);
+      totalCholesterol = params.totalCholesterol + ldl / remaining - ldl;
+    } else {
+      const nonHdl = params.nonHdlCholesterol || params.totalCholesterol - params.hdlCholesterol;
+      totalCholesterol = params.hdlCholesterol + nonHdl / remaining;
+    }
+  }
+
+  return {
+    totalCholesterol: round(totalCholesterol),
+    systolicBP: params.systolicBP + (bpLowering ? bpLowering.sbpReduction : 0),
+    ldlCholesterol
+  };
+}
+
+/**
+ * Compare the risk on current treatment with the estimated untreated risk
+ * @param {string} modelId - Model that produced the risk on treatment
+ * @param {Object} params - Patient parameters (current values)
+ * @param {Object} treatment - { statin, statinDose, ezetimibe, pcsk9, bpDrugs }
+ * @param {Object} riskResult - Result on current treatment
+ * @returns {Object|null} { lipidLowering, bpLowering, current, untreated, onTreatmentRisk,
+ *   onTreatmentClassification, untreatedRisk, untreatedClassification, riskReduction } or null without treatment
+ */
+export function assessTreatmentEffect(modelId, params, treatment, riskResult) {
+  const lipidLowering = summarizeLipidLowering(treatment);
+  const bpLowering = summarizeBpLowering(treatment.bpDrugs);
+  if (!lipidLowering && !bpLowering) return null;
+
+  const untreated = estimateUntreatedValues(params, lipidLowering, bpLowering);
+  const untreatedResult = calculateRisk(modelId, {
+    ...params,
+    totalCholesterol: untreated.totalCholesterol,
+    systolicBP: untreated.systolicBP,
+    // Non-HDL and LDL-C are re-derived from the untreated total cholesterol
+    nonHdlCholesterol: null,
+    ldlCholesterol: untreated.ldlCholesterol,
+    // Models with treatment terms (PREVENT, PCE, QRISK3) are run as untreated
+    statin: lipidLowering ? 'no' : params.statin,
+    bpTreatment: bpLowering ? 'no' : params.bpTreatment
+  });
+
+  return {
+    lipidLowering,
+    bpLowering,
+    current: { totalCholesterol: params.totalCholesterol, systolicBP: params.systolicBP },
+    untreated,
+    onTreatmentRisk: riskResult.riskPercentage,
+    onTreatmentClassification: riskResult.riskClassification,
+    untreatedRisk: untreatedResult.riskPercentage,
+    untreatedClassification: untreatedResult.riskClassification,
+    riskReduction: Math.round((untreatedResult.riskPercentage - riskResult.riskPercentage) * 10) / 10
+  };
+}
+
+/**
+ * Validate the current treatment inputs
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateTreatmentInputs(treatment) {
+  const errors = [];
+
+  if (treatment.statin && !STATINS[treatment.statin]?.doses[treatment.statinDose]) {
+    errors.push('Select the daily dose of the current statin');
+  }
+
+  return errors;
+}